@@ -0,0 +1,102 @@
+// current-shape.mjs – a hand-written extraction result in the current shape
+// (button states, typed inputs, links, badges, color roles, dark theme,
+// gradients, motion, layout) for run-examples-check.mjs. The saved examples
+// in examples/ predate most of these fields.
+
+export const result = {
+  url: "https://example.com/",
+  extractedAt: "2026-10-18T10:00:00.000Z",
+  logo: { source: "svg", url: "https://example.com/", width: 120, height: 32, safeZone: { top: 8, right: 0, bottom: 8, left: 0 } },
+  favicons: [{ type: "icon", url: "https://example.com/favicon.png", sizes: "32x32" }, { type: "og:image", url: "https://example.com/og.png", sizes: null }],
+  colors: {
+    semantic: { primary: "rgb(99, 91, 255)" },
+    roles: {
+      primary: { color: "#635bff", confidence: "high", evidence: ["background of the primary button"] },
+      surface: { color: "#ffffff", confidence: "high", evidence: ["body background"] },
+      "on-surface": { color: "#0a2540", confidence: "high", evidence: ["body text"] },
+    },
+    palette: [
+      { color: "rgb(66, 84, 102)", normalized: "#425466", count: 900, confidence: "high", sources: ["body"] },
+      { color: "rgb(99, 91, 255)", normalized: "#635bff", count: 120, confidence: "high", sources: ["btn-primary"] },
+      { color: "rgb(255, 255, 255)", normalized: "#ffffff", count: 400, confidence: "medium", sources: [] },
+      { color: "rgb(10, 37, 64)", normalized: "#0a2540", count: 300, confidence: "high", sources: ["header"] },
+      { color: "rgb(230, 235, 241)", normalized: "#e6ebf1", count: 80, confidence: "medium", sources: ["card"] },
+      { color: "rgb(0, 212, 255)", normalized: "#00d4ff", count: 10, confidence: "low", sources: [] },
+    ],
+    cssVariables: { "--brand-color": "#635bff", "--text-color": "#0a2540" },
+  },
+  typography: {
+    styles: [
+      { context: "heading-1", family: "Sohne", fallbacks: "Helvetica Neue, Arial", size: "56px (3.50rem)", weight: 600, lineHeight: "1.10", spacing: "-1px", transform: null },
+      { context: "heading-1", family: "Sohne", fallbacks: null, size: "32px (2.00rem)", weight: 600, lineHeight: "1.20", spacing: null, transform: null },
+      { context: "heading-1", family: "Sohne", fallbacks: null, size: "18px (1.13rem)", weight: 400, lineHeight: "1.55", spacing: null, transform: null },
+      { context: "button", family: "Sohne", fallbacks: null, size: "15px (0.94rem)", weight: 500, lineHeight: "1.60", spacing: null, transform: null },
+      { context: "link", family: "Sohne", fallbacks: null, size: "16px (1.00rem)", weight: 400, lineHeight: "1.50", spacing: null, transform: null },
+      { context: "caption", family: "Sohne Mono", fallbacks: null, size: "12px (0.75rem)", weight: 400, lineHeight: "1.40", spacing: "0.5px", transform: "uppercase" },
+    ],
+    sources: { googleFonts: [], adobeFonts: false, variableFonts: false },
+  },
+  spacing: { scaleType: "8px", commonValues: [
+    { px: "4px", rem: "0.25rem", count: 40, numericValue: 4 },
+    { px: "8px", rem: "0.50rem", count: 120, numericValue: 8 },
+    { px: "12px", rem: "0.75rem", count: 60, numericValue: 12 },
+    { px: "16px", rem: "1.00rem", count: 200, numericValue: 16 },
+    { px: "24px", rem: "1.50rem", count: 90, numericValue: 24 },
+    { px: "32px", rem: "2.00rem", count: 70, numericValue: 32 },
+    { px: "64px", rem: "4.00rem", count: 20, numericValue: 64 },
+  ] },
+  borderRadius: { values: [
+    { value: "4px", count: 30, elements: ["button", "input"], confidence: "high", numericValue: 4 },
+    { value: "8px", count: 12, elements: ["card"], confidence: "high", numericValue: 8 },
+    { value: "16px", count: 5, elements: ["card"], confidence: "medium", numericValue: 16 },
+    { value: "9999px", count: 3, elements: ["badge"], confidence: "low", numericValue: 9999 },
+    { value: "50%", count: 4, elements: ["image"], confidence: "medium", numericValue: 50 },
+  ] },
+  borders: { combinations: [
+    { width: "1px", style: "solid", color: "rgb(230, 235, 241)", count: 40, elements: ["card", "input"], confidence: "high" },
+    { width: "2px", style: "solid", color: "rgb(99, 91, 255)", count: 5, elements: ["button"], confidence: "medium" },
+  ] },
+  shadows: [
+    { shadow: "rgba(50, 50, 93, 0.25) 0px 13px 27px -5px, rgba(0, 0, 0, 0.3) 0px 8px 16px -8px", count: 20, confidence: "high" },
+    { shadow: "rgba(0, 0, 0, 0.1) 0px 1px 3px 0px", count: 4, confidence: "medium" },
+  ],
+  gradients: [
+    { name: "gradient-1", type: "linear", repeating: false, angle: 90, shape: null, css: "linear-gradient(90deg, rgb(99, 91, 255) 0%, rgb(0, 212, 255) 100%)", stops: [{ color: "#635bff", alpha: 1, position: 0 }, { color: "#00d4ff", alpha: 1, position: 1 }], count: 3 },
+  ],
+  motion: {
+    scale: [{ name: "fast", ms: 150, count: 40 }, { name: "base", ms: 300, count: 12 }],
+    curves: [{ name: "ease-out", value: "cubic-bezier(0, 0, 0.2, 1)", points: [0, 0, 0.2, 1], count: 20 }],
+  },
+  layout: { containers: [{ maxWidth: "1080px", count: 6 }], columns: 12, gutter: "24px", pageMargin: "16px" },
+  components: {
+    buttons: [
+      { states: { default: { backgroundColor: "rgb(99, 91, 255)", color: "rgb(255, 255, 255)", padding: "12px 24px", borderRadius: "4px", border: "0px none rgb(255, 255, 255)", boxShadow: "none", outline: "rgb(255, 255, 255) none 0px", transform: "none", opacity: "1" }, hover: { backgroundColor: "rgb(10, 37, 64)" }, active: null, focus: { boxShadow: "rgba(99, 91, 255, 0.5) 0px 0px 0px 3px" } }, fontWeight: "500", fontSize: "15px", classes: "btn btn-primary", confidence: "high" },
+      { states: { default: { backgroundColor: "rgba(0, 0, 0, 0)", color: "rgb(99, 91, 255)", padding: "8px 16px", borderRadius: "8px", border: "1px solid rgb(99, 91, 255)", boxShadow: "none", outline: "none", transform: "none", opacity: "1" }, hover: null, active: null, focus: null }, fontWeight: "500", fontSize: "15px", classes: "btn btn-outline", confidence: "high" },
+    ],
+    inputs: {
+      text: [{ specificType: "email", states: { default: { backgroundColor: "rgb(255, 255, 255)", color: "rgb(10, 37, 64)", border: "1px solid rgb(230, 235, 241)", borderRadius: "4px", padding: "8px 12px", boxShadow: "none", outline: "none" }, focus: { borderColor: "rgb(99, 91, 255)", boxShadow: "rgba(99, 91, 255, 0.3) 0px 0px 0px 2px" } } }],
+      checkbox: [], radio: [], select: [],
+    },
+    links: [
+      { color: "rgb(99, 91, 255)", textDecoration: "none solid rgb(99, 91, 255)", fontWeight: "500", states: { default: { color: "rgb(99, 91, 255)", textDecoration: "none solid rgb(99, 91, 255)" }, hover: { color: "rgb(10, 37, 64)" } } },
+      { color: "rgb(66, 84, 102)", textDecoration: "underline solid rgb(66, 84, 102)", fontWeight: "400", states: { default: { color: "rgb(66, 84, 102)", textDecoration: "underline solid rgb(66, 84, 102)" }, hover: null } },
+    ],
+    badges: { all: [
+      { backgroundColor: "rgb(34, 197, 94)", color: "rgb(255, 255, 255)", padding: "2px 8px", borderRadius: "9999px", border: "0px none rgb(255, 255, 255)", fontSize: "12px", fontWeight: "600", lineHeight: "16px", textTransform: "uppercase", letterSpacing: "0.5px", variant: "success", styleType: "filled", isRounded: true, classes: "badge badge-success", confidence: "high" },
+    ], byVariant: {} },
+  },
+  themes: {
+    light: {},
+    dark: {},
+    pairs: {
+      roles: {
+        primary: { light: "#635bff", dark: "#7a73ff" },
+        surface: { light: "#ffffff", dark: "#0a2540" },
+      },
+      colors: [{ light: "#425466", dark: "#adbdcc", property: "color", count: 40, agreement: 1 }],
+    },
+  },
+  breakpoints: [{ px: "640px" }, { px: "768px" }, { px: "1024px" }, { px: "1280px" }],
+  iconSystem: [{ name: "SVG Icons", type: "svg" }],
+  frameworks: [],
+};
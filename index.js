@@ -9,34 +9,66 @@
 
 import { program } from "commander";
 import chalk from "chalk";
-import ora from "ora";
-import { chromium, firefox } from "playwright-core";
 import { extractBranding } from "./lib/extractors.js";
-import { displayResults } from "./lib/display.js";
-import { toW3CFormat } from "./lib/w3c-exporter.js";
-import { writeFileSync, mkdirSync } from "fs";
-import { join } from "path";
+import { displayResults, displayBatchSummary, displayDiff, displayHistory } from "./lib/display.js";
+import { FORMATS, parseFormats, renderFormat } from "./lib/exporters.js";
+import { launchBrowser } from "./lib/browser.js";
+import { normalizeUrl, saveOutput, getTimestamp } from "./lib/output.js";
+import { readUrlList, runBatch, saveBatchIndex } from "./lib/batch.js";
+import { crawlSite } from "./lib/crawler.js";
+import { parseViewports } from "./lib/responsive.js";
+import { createLoggerProgress } from "./lib/progress.js";
+import { createLogger, resolveLogLevel } from "./lib/logger.js";
+import { diffResults } from "./lib/diff.js";
+import { analyzeHistory, parseThresholds } from "./lib/history.js";
+import { loadReference } from "./lib/token-lint.js";
+import { readFileSync } from "fs";
 
 program
   .name("dembrandt")
   .description("Extract design tokens from any website")
   .version("0.6.0")
-  .argument("<url>")
+  // Lets `diff` have its own --json-only
+  .enablePositionalOptions()
+  .argument("[url]")
   .option("--browser <type>", "Browser to use (chromium|firefox)", "chromium")
   .option("--json-only", "Output raw JSON")
   .option("--save-output", "Save JSON file to output folder")
   .option("--dtcg", "Export in W3C Design Tokens (DTCG) format")
-  .option("--dark-mode", "Extract colors from dark mode")
+  .option("--format <formats>", `Output format(s), comma-separated (${Object.keys(FORMATS).join("|")})`)
+  .option("--dark-mode", "Also extract the dark theme (light/dark token pairs)")
   .option("--mobile", "Extract from mobile viewport")
+  .option("--viewports <widths>", "Compare tokens across viewport widths, comma-separated (e.g. 390,768,1280,1920) or \"breakpoints\"")
+  .option("--assets", "Download logo, favicons, social images and font files to output/<domain>/assets/")
+  .option("--screenshots", "Save a PNG of each button, input, link, badge and logo variant to output/<domain>/screenshots/")
+  .option("--against <file>", "Lint extracted values against a reference token file (DTCG or dembrandt JSON)")
   .option("--slow", "3x longer timeouts for slow-loading sites")
   .option("--no-sandbox", "Disable browser sandbox (needed for Docker/CI)")
+  .option("--urls <file>", "Extract every URL listed in a file (one per line, - for stdin)")
+  .option("--concurrency <n>", "Pages extracted in parallel with --urls", (v) => parseInt(v, 10), 3)
+  .option("--crawl", "Follow same-origin links and merge tokens site-wide")
+  .option("--max-depth <n>", "Link depth to follow with --crawl", (v) => parseInt(v, 10), 2)
+  .option("--max-pages <n>", "Maximum pages to analyze with --crawl", (v) => parseInt(v, 10), 10)
+  .option("--quiet", "Only print errors to stderr (default with --json-only)")
+  .option("--verbose", "Log every extraction stage with timings to stderr")
   .action(async (input, opts) => {
-    let url = input;
-    if (!url.startsWith("http://") && !url.startsWith("https://")) {
-      url = "https://" + url;
+    if (opts.urls) {
+      await runBatchCommand(opts);
+      return;
     }
 
-    const spinner = ora("Starting extraction...").start();
+    if (!input) {
+      program.error("error: missing required argument 'url'");
+    }
+
+    const url = normalizeUrl(input);
+    const formats = resolveFormats(opts);
+    const viewports = resolveViewports(opts);
+    const against = resolveReference(opts);
+
+    const logger = createLogger({ level: resolveLogLevel(opts) });
+    const progress = createLoggerProgress(logger);
+    logger.start("Starting extraction...");
     let browser = null;
 
     try {
@@ -44,31 +76,33 @@ program
       let result;
 
       while (true) {
-        // Select browser type based on --browser flag
-        const browserType = opts.browser === 'firefox' ? firefox : chromium;
-
-        spinner.text = `Launching browser (${useHeaded ? "visible" : "headless"
-          } mode)`;
-        // Firefox-specific launch args (Firefox doesn't support Chromium flags)
-        const launchArgs = opts.browser === 'firefox'
-          ? [] // Firefox has different flags
-          : ["--disable-blink-features=AutomationControlled"];
-
-        if (opts.noSandbox && opts.browser === 'chromium') {
-          launchArgs.push("--no-sandbox", "--disable-setuid-sandbox");
-        }
-        browser = await browserType.launch({
+        logger.start(`Launching browser (${useHeaded ? "visible" : "headless"
+          } mode)`);
+        browser = await launchBrowser({
+          browser: opts.browser,
           headless: !useHeaded,
-          args: launchArgs,
+          sandbox: opts.sandbox,
         });
 
         try {
-          result = await extractBranding(url, spinner, browser, {
+          result = await extractBranding(url, progress, browser, {
             navigationTimeout: 90000,
             darkMode: opts.darkMode,
             mobile: opts.mobile,
+            viewports,
+            assets: opts.assets,
+            screenshots: opts.screenshots,
+            against,
             slow: opts.slow,
           });
+          if (opts.crawl) {
+            result.crawl = await crawlSite(result.url, progress, browser, {
+              navigationTimeout: 90000,
+              maxDepth: opts.maxDepth,
+              maxPages: opts.maxPages,
+              slow: opts.slow,
+            });
+          }
           break;
         } catch (err) {
           await browser.close();
@@ -80,12 +114,12 @@ program
             err.message.includes("Timeout") ||
             err.message.includes("net::ERR_")
           ) {
-            spinner.warn(
+            logger.warn(
               "Bot detection detected → retrying with visible browser"
             );
-            console.error(chalk.dim(`  ↳ Error: ${err.message}`));
-            console.error(chalk.dim(`  ↳ URL: ${url}`));
-            console.error(chalk.dim(`  ↳ Mode: headless`));
+            logger.log(chalk.dim(`  ↳ Error: ${err.message}`));
+            logger.log(chalk.dim(`  ↳ URL: ${url}`));
+            logger.log(chalk.dim(`  ↳ Mode: headless`));
             useHeaded = true;
             continue;
           }
@@ -93,58 +127,239 @@ program
         }
       }
 
-      console.log();
+      logger.log();
 
-      // Convert to W3C format if requested
-      const outputData = opts.dtcg ? toW3CFormat(result) : result;
+      // Save output if --save-output, --dtcg or --format is specified
+      const shouldSave = opts.saveOutput || formats.some((f) => f !== "json");
+      if (shouldSave && !opts.jsonOnly) {
+        const timestamp = getTimestamp();
+        for (const format of formats) {
+          try {
+            const { content, suffix } = renderFormat(format, result);
+            const filepath = saveOutput(url, content, { suffix, timestamp });
 
-      // Save JSON output if --save-output or --dtcg is specified
-      if ((opts.saveOutput || opts.dtcg) && !opts.jsonOnly) {
-        try {
-          const domain = new URL(url).hostname.replace("www.", "");
-          const timestamp = new Date()
-            .toISOString()
-            .replace(/[:.]/g, "-")
-            .split(".")[0];
-          // Save to current working directory, not installation directory
-          const outputDir = join(process.cwd(), "output", domain);
-          mkdirSync(outputDir, { recursive: true });
-
-          const suffix = opts.dtcg ? '.tokens' : '';
-          const filename = `${timestamp}${suffix}.json`;
-          const filepath = join(outputDir, filename);
-          writeFileSync(filepath, JSON.stringify(outputData, null, 2));
-
-          console.log(
-            chalk.dim(
-              `💾 JSON saved to: ${chalk.hex('#8BE9FD')(
-                `output/${domain}/${filename}`
-              )}`
-            )
-          );
-        } catch (err) {
-          console.log(
-            chalk.hex('#FFB86C')(`⚠ Could not save JSON file: ${err.message}`)
-          );
+            logger.log(
+              chalk.dim(`💾 ${format} saved to: ${chalk.hex('#8BE9FD')(filepath)}`)
+            );
+          } catch (err) {
+            logger.error(
+              chalk.hex('#FFB86C')(`⚠ Could not save ${format} file: ${err.message}`)
+            );
+          }
         }
       }
 
-      // Output to terminal
+      if (result.assets && !opts.jsonOnly) {
+        const saved = result.assets.files.filter((f) => f.file).length;
+        logger.log(
+          chalk.dim(`💾 ${saved} assets saved to: ${chalk.hex('#8BE9FD')(result.assets.dir)}`)
+        );
+      }
+
+      if (result.screenshots && !opts.jsonOnly) {
+        logger.log(
+          chalk.dim(`💾 ${result.screenshots.saved} screenshots saved to: ${chalk.hex('#8BE9FD')(result.screenshots.dir)}`)
+        );
+      }
+
+      // Output to terminal - the only thing written to stdout
       if (opts.jsonOnly) {
-        console.log(JSON.stringify(outputData, null, 2));
+        console.log(renderFormat(formats[0], result).content);
       } else {
         console.log();
         displayResults(result);
       }
     } catch (err) {
-      spinner.fail("Failed");
-      console.error(chalk.red("\n✗ Extraction failed"));
-      console.error(chalk.red(`  Error: ${err.message}`));
-      console.error(chalk.dim(`  URL: ${url}`));
+      logger.fail("Failed");
+      logger.error(chalk.red("\n✗ Extraction failed"));
+      logger.error(chalk.red(`  Error: ${err.message}`));
+      logger.error(chalk.dim(`  URL: ${url}`));
+      logger.debug(err.stack);
       process.exit(1);
     } finally {
       if (browser) await browser.close();
     }
   });
 
+program
+  .command("diff")
+  .description("Compare two saved extraction results (JSON) token by token")
+  .argument("<before>", "Earlier result, e.g. output/stripe.com/2025-01-28T14-30-22.json")
+  .argument("<after>", "Later result")
+  .option("--json-only", "Output the change report as JSON")
+  .option("--color-threshold <deltaE>", "Color difference under which two colors count as one changed color", parseFloat, 10)
+  .action((beforeFile, afterFile, opts) => {
+    const before = readResult(beforeFile);
+    const after = readResult(afterFile);
+    const report = diffResults(before, after, { colorThreshold: opts.colorThreshold });
+
+    if (opts.jsonOnly) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      displayDiff(report);
+    }
+
+    // Like diff(1): 0 when nothing changed, 1 when something did
+    const { added, removed, changed } = report.summary;
+    if (added + removed + changed > 0) process.exitCode = 1;
+  });
+
+program
+  .command("history")
+  .description("Timeline of brand changes across the results saved in output/<domain>/")
+  .argument("<domain>", "Domain or URL, e.g. stripe.com")
+  .option("--json-only", "Output the history as JSON")
+  .option("--fail-on <checks>", "Allowed drift of the latest run, e.g. color=5,fonts=0,radius=0,buttons=0 (color in delta-E, others in changed values)")
+  .option("--cache", "Keep fingerprints in output/<domain>/history.json so later runs only read new results")
+  .action((domain, opts) => {
+    let history;
+    try {
+      history = analyzeHistory(domain, parseThresholds(opts.failOn), { cache: opts.cache });
+    } catch (err) {
+      console.error(chalk.red(`✗ ${err.message}`));
+      process.exit(2);
+    }
+
+    if (opts.jsonOnly) {
+      console.log(JSON.stringify(history, null, 2));
+    } else {
+      displayHistory(history);
+    }
+
+    if (history.drift?.exceeded) process.exitCode = 1;
+  });
+
+/**
+ * Read a saved extraction result, exiting with code 2 when it can't be used
+ */
+function readResult(file) {
+  let result;
+  try {
+    result = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(chalk.red(`✗ Could not read ${file}: ${err.message}`));
+    process.exit(2);
+  }
+  if (!result.colors && !result.typography) {
+    console.error(chalk.red(`✗ ${file} is not a dembrandt JSON result (save one with --save-output)`));
+    process.exit(2);
+  }
+  return result;
+}
+
+/**
+ * Output formats from --format, with --dtcg as shorthand for --format dtcg
+ * --json-only prints a single payload, so it accepts only one format.
+ */
+function resolveFormats(opts) {
+  let formats;
+  try {
+    formats = opts.format ? parseFormats(opts.format) : [opts.dtcg ? "dtcg" : "json"];
+  } catch (err) {
+    program.error(`error: ${err.message}`);
+  }
+
+  if (opts.dtcg && !formats.includes("dtcg")) formats.push("dtcg");
+  if (opts.jsonOnly && formats.length > 1) {
+    program.error("error: --json-only prints one format; pass a single --format");
+  }
+  return formats;
+}
+
+/**
+ * Parse --viewports, exiting with a usage error for invalid widths
+ */
+function resolveViewports(opts) {
+  if (!opts.viewports) return undefined;
+  try {
+    return parseViewports(opts.viewports);
+  } catch (err) {
+    program.error(`error: ${err.message}`);
+  }
+}
+
+/**
+ * Load the --against reference before launching the browser, so a bad file
+ * fails fast
+ */
+function resolveReference(opts) {
+  if (!opts.against) return undefined;
+  try {
+    return loadReference(opts.against);
+  } catch (err) {
+    program.error(`error: could not load --against ${opts.against}: ${err.message}`);
+  }
+}
+
+/**
+ * --urls mode: one shared headless browser, N concurrent pages,
+ * one output file per site plus a combined index
+ */
+async function runBatchCommand(opts) {
+  const logger = createLogger({ level: resolveLogLevel(opts) });
+
+  let urls;
+  try {
+    urls = readUrlList(opts.urls);
+  } catch (err) {
+    logger.error(chalk.red(`✗ Could not read URL list: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (urls.length === 0) {
+    logger.error(chalk.red("✗ URL list is empty"));
+    process.exit(1);
+  }
+
+  const formats = resolveFormats(opts);
+  const viewports = resolveViewports(opts);
+  const against = resolveReference(opts);
+
+  logger.start(`Launching browser for ${urls.length} sites...`);
+  let browser = null;
+
+  try {
+    browser = await launchBrowser({
+      browser: opts.browser,
+      headless: true,
+      sandbox: opts.sandbox,
+    });
+
+    const index = await runBatch(urls, createLoggerProgress(logger), browser, {
+      navigationTimeout: 90000,
+      concurrency: opts.concurrency,
+      darkMode: opts.darkMode,
+      mobile: opts.mobile,
+      viewports,
+      assets: opts.assets,
+      screenshots: opts.screenshots,
+      against,
+      slow: opts.slow,
+      formats,
+      crawl: opts.crawl,
+      maxDepth: opts.maxDepth,
+      maxPages: opts.maxPages,
+    });
+    logger.spinner.stop();
+
+    const indexPath = saveBatchIndex(index);
+
+    if (opts.jsonOnly) {
+      console.log(JSON.stringify(index, null, 2));
+    } else {
+      displayBatchSummary(index, indexPath);
+    }
+
+    if (index.failed > 0) process.exitCode = 1;
+  } catch (err) {
+    logger.fail("Failed");
+    logger.error(chalk.red("\n✗ Batch extraction failed"));
+    logger.error(chalk.red(`  Error: ${err.message}`));
+    logger.debug(err.stack);
+    process.exit(1);
+  } finally {
+    if (browser) await browser.close();
+  }
+}
+
 program.parse();
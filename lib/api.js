@@ -0,0 +1,103 @@
+/**
+ * Dembrandt - Programmatic API
+ *
+ * Node entry point for build scripts. Manages the browser itself and reports
+ * progress through a callback instead of printing to the console.
+ *
+ *   import { extract } from "dembrandt";
+ *
+ *   const result = await extract("stripe.com", {
+ *     darkMode: true,
+ *     onProgress: (event) => console.error(event.type, event.message),
+ *   });
+ */
+
+import { extractBranding } from "./extractors.js";
+import { crawlSite } from "./crawler.js";
+import { toW3CFormat } from "./w3c-exporter.js";
+import { toTailwindConfig, toTailwindV4Theme } from "./exporters.js";
+import { toCssVariables, toScss } from "./css-exporter.js";
+import { toTokensStudio, toFigmaVariables } from "./figma-exporter.js";
+import { toHtmlReport } from "./html-report.js";
+import { inferColorRoles } from "./color-roles.js";
+import { analyzeTypography } from "./type-scale.js";
+import { analyzeContrast } from "./contrast.js";
+import { diffResults } from "./diff.js";
+import { analyzeHistory } from "./history.js";
+import { loadReference, lintTokens } from "./token-lint.js";
+import { launchBrowser } from "./browser.js";
+import { normalizeUrl } from "./output.js";
+import { parseViewports } from "./responsive.js";
+import { createEventProgress } from "./progress.js";
+
+/**
+ * Extract design tokens from a website
+ *
+ * Options mirror the CLI flags:
+ * @param {string} input - URL or bare domain (e.g. "stripe.com")
+ * @param {Object} options
+ * @param {string} options.browser - chromium (default) or firefox
+ * @param {boolean} options.headless - Run without a visible window (default true)
+ * @param {boolean} options.sandbox - Set to false for Docker/CI (--no-sandbox)
+ * @param {boolean} options.darkMode - Also extract the dark theme into result.themes (--dark-mode)
+ * @param {boolean} options.mobile - Also extract the mobile viewport (--mobile)
+ * @param {Array|string} options.viewports - Widths to compare tokens across, or "breakpoints" (--viewports)
+ * @param {boolean} options.assets - Download brand assets to output/<domain>/assets/ (--assets)
+ * @param {boolean} options.screenshots - Save component and logo screenshots to output/<domain>/screenshots/ (--screenshots)
+ * @param {string} options.against - Reference token file (DTCG or dembrandt JSON) to lint against into result.lint (--against)
+ * @param {boolean} options.slow - 3x longer timeouts (--slow)
+ * @param {boolean} options.dtcg - Return W3C Design Tokens instead of raw results (--dtcg)
+ * @param {boolean} options.crawl - Merge tokens across same-origin pages (--crawl)
+ * @param {number} options.maxDepth - Link depth for crawl (--max-depth)
+ * @param {number} options.maxPages - Page limit for crawl (--max-pages)
+ * @param {number} options.navigationTimeout - Navigation timeout in ms (default 90000)
+ * @param {Function} options.onProgress - Called with { type, message, stage } progress events
+ * @returns {Promise<Object>} Extraction result (or DTCG tokens with options.dtcg)
+ */
+export async function extract(input, options = {}) {
+  const url = normalizeUrl(input);
+  const progress = createEventProgress(options.onProgress);
+  const extractionOptions = {
+    navigationTimeout: 90000,
+    ...options,
+    viewports: options.viewports && parseViewports(options.viewports),
+    against: options.against && loadReference(options.against),
+  };
+
+  progress.start(`Launching browser (${options.headless === false ? "visible" : "headless"} mode)`);
+  const browser = await launchBrowser({
+    browser: options.browser,
+    headless: options.headless !== false,
+    sandbox: options.sandbox,
+  });
+
+  try {
+    const result = await extractBranding(url, progress, browser, extractionOptions);
+
+    if (options.crawl) {
+      result.crawl = await crawlSite(result.url, progress, browser, extractionOptions);
+    }
+
+    return options.dtcg ? toW3CFormat(result) : result;
+  } finally {
+    await browser.close();
+  }
+}
+
+export {
+  extractBranding,
+  toW3CFormat,
+  toTailwindConfig,
+  toTailwindV4Theme,
+  toCssVariables,
+  toScss,
+  toTokensStudio,
+  toFigmaVariables,
+  toHtmlReport,
+  inferColorRoles,
+  analyzeTypography,
+  analyzeContrast,
+  diffResults,
+  analyzeHistory,
+  lintTokens,
+};
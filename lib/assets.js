@@ -0,0 +1,248 @@
+/**
+ * Brand Assets
+ *
+ * Downloads the logo variants, favicons, og/twitter images and @font-face
+ * files found during extraction into output/<domain>/assets/, and writes a
+ * manifest.json with each file's hash, MIME type, dimensions and original URL.
+ */
+
+import { createHash } from "crypto";
+import { writeFileSync, mkdirSync } from "fs";
+import { join } from "path";
+import { getOutputDir, getDomain } from "./output.js";
+
+const EXTENSIONS = {
+  "image/svg+xml": ".svg",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/x-icon": ".ico",
+  "font/woff2": ".woff2",
+  "font/woff": ".woff",
+  "font/ttf": ".ttf",
+  "font/otf": ".otf",
+  "application/vnd.ms-fontobject": ".eot",
+};
+
+// Per-file download timeout
+const DOWNLOAD_TIMEOUT = 15000;
+
+/**
+ * Lowercase, dash-separated file name part
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Assets to download from an extraction result
+ *
+ * @param {Object} result - extractBranding result
+ * @returns {Array} [{ type, name, url, svg?, meta }] - svg holds inline markup to save instead of downloading
+ */
+export function listAssets(result) {
+  const assets = [];
+  const { logo, logos, favicons = [], typography } = result;
+
+  // Primary logo as logo.*, other variants as logo-<variant>.* (not other companies' logos)
+  for (const variant of logos || (logo ? [logo] : [])) {
+    if (variant.variant === "partner") continue;
+    const name = variant === logo || variant.variant === "primary" ? "logo" : `logo-${variant.variant}`;
+    const meta = { variant: variant.variant || "primary", alt: variant.alt || null };
+    if (variant.svg) {
+      assets.push({ type: "logo", name, url: result.url, svg: variant.svg, meta: { ...meta, source: "inline-svg" } });
+    } else if (variant.source === "img" && variant.url) {
+      assets.push({ type: "logo", name, url: variant.url, meta: { ...meta, source: "img" } });
+    }
+  }
+
+  for (const favicon of favicons) {
+    const name = [slugify(favicon.type), favicon.sizes && slugify(favicon.sizes)].filter(Boolean).join("-");
+    assets.push({ type: favicon.type, name, url: favicon.url, meta: { sizes: favicon.sizes } });
+  }
+
+  for (const face of typography?.sources?.fontFaces || []) {
+    const name = face.family
+      ? ["font", slugify(face.family), slugify(face.weight), slugify(face.style)].join("-")
+      : `font-${slugify(new URL(face.url).pathname.split("/").pop().replace(/\.\w+$/, ""))}`;
+    assets.push({
+      type: "font",
+      name,
+      url: face.url,
+      meta: { family: face.family, weight: face.weight, style: face.style, format: face.format },
+    });
+  }
+
+  return assets;
+}
+
+/**
+ * MIME type from a file's first bytes, falling back to the Content-Type header
+ * Servers often send fonts and icons as application/octet-stream.
+ */
+export function detectMimeType(buffer, contentType = "") {
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+  const magic = buffer.length >= 4 ? buffer.readUInt32BE(0) : null;
+
+  if (buffer[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 12) === "ftypavif") return "image/avif";
+  if (magic === 0x00000100) return "image/x-icon";
+  if (ascii(0, 4) === "wOF2") return "font/woff2";
+  if (ascii(0, 4) === "wOFF") return "font/woff";
+  if (ascii(0, 4) === "OTTO") return "font/otf";
+  if (magic === 0x00010000 || ascii(0, 4) === "true") return "font/ttf";
+  if (/<svg[\s>]/i.test(buffer.toString("utf8", 0, 1024))) return "image/svg+xml";
+
+  return contentType.split(";")[0].trim().toLowerCase() || "application/octet-stream";
+}
+
+/**
+ * Pixel dimensions of an image, read from its header
+ * ICO files report their largest icon; SVGs their width/height or viewBox.
+ *
+ * @returns {Object|null} { width, height }, null for fonts and unreadable files
+ */
+export function imageDimensions(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case "image/png":
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case "image/gif":
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case "image/jpeg": {
+        // Walk the segments to the first start-of-frame marker
+        let offset = 2;
+        while (offset < buffer.length) {
+          const marker = buffer[offset + 1];
+          const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+          if (isFrame) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+          }
+          offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+      }
+      case "image/webp": {
+        const chunk = buffer.toString("latin1", 12, 16);
+        if (chunk === "VP8 ") {
+          return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === "VP8L") {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === "VP8X") {
+          return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+      }
+      case "image/x-icon": {
+        // A width or height byte of 0 means 256
+        let largest = null;
+        for (let i = 0; i < buffer.readUInt16LE(4); i++) {
+          const entry = 6 + i * 16;
+          const width = buffer[entry] || 256;
+          const height = buffer[entry + 1] || 256;
+          if (!largest || width > largest.width) largest = { width, height };
+        }
+        return largest;
+      }
+      case "image/svg+xml": {
+        const root = buffer.toString("utf8").match(/<svg\b[^>]*>/i)?.[0] || "";
+        const attr = (name) => root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']+)["']`, "i"))?.[1];
+        const width = parseFloat(attr("width"));
+        const height = parseFloat(attr("height"));
+        if (width > 0 && height > 0 && !/%/.test(attr("width"))) return { width, height };
+        const viewBox = attr("viewBox")?.split(/[\s,]+/).map(parseFloat);
+        return viewBox?.length === 4 ? { width: viewBox[2], height: viewBox[3] } : null;
+      }
+      default:
+        return null;
+    }
+  } catch {
+    // Truncated or malformed header
+    return null;
+  }
+}
+
+/**
+ * Download every asset and write it to output/<domain>/assets/
+ * Failed downloads are listed in the manifest with their error instead of
+ * failing the extraction. A URL listed twice (og:image and twitter:image are
+ * often the same file) is downloaded once.
+ *
+ * @param {Object} request - Playwright APIRequestContext (context.request), shares the page's cookies
+ * @param {Object} result - extractBranding result
+ * @returns {Promise<Object>} { dir, manifest, files }
+ */
+export async function downloadAssets(request, result) {
+  const assetsDir = join(getOutputDir(result.url), "assets");
+  mkdirSync(assetsDir, { recursive: true });
+  const relativeDir = `output/${getDomain(result.url)}/assets`;
+
+  const files = [];
+  const byUrl = new Map();
+  const taken = new Set();
+
+  for (const asset of listAssets(result)) {
+    const existing = !asset.svg && byUrl.get(asset.url);
+    if (existing) {
+      files.push({ ...existing, type: asset.type, ...asset.meta });
+      continue;
+    }
+
+    const entry = { type: asset.type, url: asset.url, ...asset.meta };
+    try {
+      let buffer;
+      let contentType = "";
+      if (asset.svg) {
+        buffer = Buffer.from(asset.svg, "utf8");
+      } else {
+        const response = await request.get(asset.url, { timeout: DOWNLOAD_TIMEOUT });
+        if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+        buffer = await response.body();
+        contentType = response.headers()["content-type"] || "";
+      }
+      if (buffer.length === 0) throw new Error("Empty response");
+
+      const mimeType = detectMimeType(buffer, contentType);
+      const extension = EXTENSIONS[mimeType]
+        || (new URL(asset.url).pathname.match(/\.\w+$/)?.[0] ?? "").toLowerCase();
+
+      let file = `${asset.name}${extension}`;
+      for (let n = 2; taken.has(file); n++) file = `${asset.name}-${n}${extension}`;
+      taken.add(file);
+      writeFileSync(join(assetsDir, file), buffer);
+
+      Object.assign(entry, {
+        file,
+        mimeType,
+        bytes: buffer.length,
+        sha256: createHash("sha256").update(buffer).digest("hex"),
+        dimensions: imageDimensions(buffer, mimeType),
+      });
+      if (!asset.svg) byUrl.set(asset.url, entry);
+    } catch (err) {
+      entry.error = err.message;
+    }
+    files.push(entry);
+  }
+
+  const manifest = {
+    url: result.url,
+    downloadedAt: new Date().toISOString(),
+    files,
+  };
+  writeFileSync(join(assetsDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+  return {
+    dir: relativeDir,
+    manifest: `${relativeDir}/manifest.json`,
+    files,
+  };
+}
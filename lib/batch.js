@@ -0,0 +1,117 @@
+/**
+ * Batch Extraction
+ *
+ * Runs extractBranding over a list of URLs with one shared browser and a
+ * bounded number of concurrent pages. Every site gets its own output file,
+ * and the run is summarized in a combined index.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { join } from "path";
+import { extractBranding } from "./extractors.js";
+import { crawlSite } from "./crawler.js";
+import { renderFormat } from "./exporters.js";
+import { normalizeUrl, saveOutput, getTimestamp } from "./output.js";
+
+/**
+ * Read a URL list from a file, or from stdin when source is "-"
+ * One URL per line; blank lines and # comments are ignored.
+ *
+ * @param {string} source - File path or "-"
+ * @returns {string[]} Normalized, de-duplicated URLs
+ */
+export function readUrlList(source) {
+  const text = readFileSync(source === "-" ? 0 : source, "utf8");
+  const urls = text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, "").trim())
+    .filter(Boolean)
+    .map(normalizeUrl);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Extract every URL with a shared browser and write one result per site
+ *
+ * @param {string[]} urls - URLs to extract
+ * @param {Object} progress - Progress reporter (see lib/progress.js)
+ * @param {Object} browser - Launched browser shared by all extractions
+ * @param {Object} options - concurrency, formats (default ["json"]), crawl options, plus extractBranding options
+ * @returns {Object} Run index with per-site status, timing and output paths
+ */
+export async function runBatch(urls, progress, browser, options = {}) {
+  const concurrency = Math.max(1, Math.min(options.concurrency || 3, urls.length));
+  const startedAt = new Date();
+  const sites = new Array(urls.length);
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < urls.length) {
+      const index = next++;
+      const url = urls[index];
+      const start = Date.now();
+
+      try {
+        const result = await extractBranding(url, progress, browser, options);
+        if (options.crawl) {
+          result.crawl = await crawlSite(result.url, progress, browser, options);
+        }
+        const timestamp = getTimestamp();
+        const outputs = (options.formats || ["json"]).map((format) => {
+          const { content, suffix } = renderFormat(format, result);
+          return saveOutput(url, content, { suffix, timestamp });
+        });
+        if (result.assets) outputs.push(result.assets.manifest);
+        if (result.screenshots) outputs.push(result.screenshots.dir);
+
+        sites[index] = {
+          url,
+          finalUrl: result.url,
+          status: "success",
+          durationMs: Date.now() - start,
+          outputs,
+        };
+      } catch (err) {
+        sites[index] = {
+          url,
+          status: "failed",
+          durationMs: Date.now() - start,
+          error: err.message,
+        };
+      }
+
+      done++;
+      progress.start(`Batch: ${done}/${urls.length} sites done (${concurrency} concurrent)`);
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const finishedAt = new Date();
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    concurrency,
+    total: sites.length,
+    succeeded: sites.filter((s) => s.status === "success").length,
+    failed: sites.filter((s) => s.status === "failed").length,
+    sites,
+  };
+}
+
+/**
+ * Write the combined batch index to output/batch-<timestamp>.json
+ * @returns {string} Path relative to the working directory
+ */
+export function saveBatchIndex(index) {
+  const outputDir = join(process.cwd(), "output");
+  mkdirSync(outputDir, { recursive: true });
+
+  const filename = `batch-${getTimestamp(new Date(index.startedAt))}.json`;
+  writeFileSync(join(outputDir, filename), JSON.stringify(index, null, 2));
+
+  return `output/${filename}`;
+}
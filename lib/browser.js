@@ -0,0 +1,38 @@
+/**
+ * Browser Launcher
+ *
+ * Shared Playwright launch configuration used by single-site and batch runs.
+ */
+
+import { chromium, firefox } from "playwright-core";
+
+/**
+ * Launch a Playwright browser with dembrandt's stealth launch flags
+ *
+ * @param {Object} options - Launch options
+ * @param {string} options.browser - Browser type (chromium|firefox)
+ * @param {boolean} options.headless - Run without a visible window
+ * @param {boolean} options.sandbox - Set to false to disable the Chromium sandbox
+ * @returns {Promise<Object>} Launched browser instance
+ */
+export async function launchBrowser({
+  browser = "chromium",
+  headless = true,
+  sandbox = true,
+} = {}) {
+  const browserType = browser === "firefox" ? firefox : chromium;
+
+  // Firefox-specific launch args (Firefox doesn't support Chromium flags)
+  const launchArgs = browser === "firefox"
+    ? [] // Firefox has different flags
+    : ["--disable-blink-features=AutomationControlled"];
+
+  if (sandbox === false && browser !== "firefox") {
+    launchArgs.push("--no-sandbox", "--disable-setuid-sandbox");
+  }
+
+  return await browserType.launch({
+    headless,
+    args: launchArgs,
+  });
+}
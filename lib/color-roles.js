@@ -0,0 +1,230 @@
+/**
+ * Color Role Inference
+ *
+ * Assigns semantic roles (surface, on-surface, primary, on-primary, accent,
+ * muted, border, success, warning, error) to extracted colors from how they
+ * are used on the page: page background, body text, button fills, links,
+ * borders, badges and CTA scores. Every role carries a confidence and the
+ * evidence behind it, so a wrong guess can be traced and overridden.
+ */
+
+import { parseCssColor, toHex, toHsl, isNeutral, contrastRatio, deltaE } from './color-utils.js';
+
+export const COLOR_ROLES = [
+  'surface',
+  'on-surface',
+  'primary',
+  'on-primary',
+  'accent',
+  'muted',
+  'border',
+  'success',
+  'warning',
+  'error',
+];
+
+// Hue ranges for status colors when nothing on the page names them
+const STATUS_HUES = {
+  error: (h) => h >= 345 || h < 15,
+  warning: (h) => h >= 30 && h < 55,
+  success: (h) => h >= 90 && h < 165,
+};
+
+const STATUS_KEYWORDS = {
+  error: /error|danger|destructive|alert|invalid/,
+  warning: /warning|caution/,
+  success: /success|valid|positive/,
+};
+
+/**
+ * Opaque parsed color, or null for transparent/unparseable values
+ */
+function opaque(value) {
+  const rgb = parseCssColor(value);
+  return rgb && rgb.a > 0.5 ? rgb : null;
+}
+
+/**
+ * Saturated mid-lightness colors - excludes navy/charcoal text and pastel fills
+ */
+function isVivid(rgb) {
+  const { s, l } = toHsl(rgb);
+  return !isNeutral(rgb) && s >= 0.35 && l >= 0.2 && l <= 0.85;
+}
+
+function role(rgb, confidence, evidence) {
+  return { color: toHex(rgb), confidence, evidence };
+}
+
+/**
+ * Infer color roles from an extraction result
+ *
+ * @param {Object} data - { colors, components, borders } from extractBranding
+ * @returns {Object} Role name -> { color, confidence, evidence[] }; roles without evidence are omitted
+ */
+export function inferColorRoles({ colors = {}, components = {}, borders = {} }) {
+  const roles = {};
+  const usage = colors.usage || {};
+  const palette = colors.palette || [];
+  const buttons = (components.buttons || []).filter((b) => b.states?.default);
+  const links = components.links || [];
+  const paletteEntry = (rgb) => palette.find((c) => {
+    const entry = parseCssColor(c.normalized || c.color);
+    return entry && deltaE(entry, rgb) < 5;
+  });
+
+  // Surface - the page background (browsers default to white)
+  const background = opaque(usage.pageBackground);
+  const surface = background || { r: 255, g: 255, b: 255, a: 1 };
+  roles.surface = background
+    ? role(surface, 'high', ['page background (body/html)'])
+    : role(surface, 'medium', ['page background is transparent; browser default white']);
+
+  // On-surface - the most used text color that is readable on the surface
+  const textColors = (usage.text || [])
+    .map((t) => ({ ...t, rgb: opaque(t.color) }))
+    .filter((t) => t.rgb);
+  const body = textColors.find((t) => contrastRatio(t.rgb, surface) >= 3);
+  if (body) {
+    const ratio = contrastRatio(body.rgb, surface);
+    roles['on-surface'] = role(body.rgb, ratio >= 4.5 ? 'high' : 'medium', [
+      `text color of ${body.count} text elements`,
+      `contrast ${ratio.toFixed(1)}:1 on surface`,
+    ]);
+  }
+
+  // Primary - the strongest filled CTA
+  const candidates = buttons
+    .map((button) => {
+      const rgb = opaque(button.states.default.backgroundColor);
+      if (!rgb || deltaE(rgb, surface) < 10) return null;
+
+      const evidence = ['filled button background'];
+      let score = button.confidence === 'high' ? 2 : 1;
+      if (!isNeutral(rgb)) {
+        score += 3;
+        evidence.push('saturated');
+      }
+      const entry = paletteEntry(rgb);
+      if (entry?.confidence === 'high') {
+        score += 2;
+        evidence.push(`high CTA score in palette (${entry.count} uses)`);
+      }
+      if (entry?.sources?.includes('logo')) {
+        score += 2;
+        evidence.push(`logo color (${Math.round(entry.logoShare * 100)}% of the logo)`);
+      }
+      if (/primary|cta/i.test(button.classes || '')) {
+        score += 2;
+        evidence.push(`class "${button.classes.trim().split(/\s+/).slice(0, 3).join(' ')}"`);
+      }
+      const hint = opaque(colors.semantic?.primary);
+      if (hint && deltaE(hint, rgb) < 5) {
+        score += 1;
+        evidence.push('matches element with "primary" in its class');
+      }
+      return { button, rgb, score, evidence };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  let primary = null;
+  if (candidates.length > 0) {
+    const best = candidates[0];
+    primary = best.rgb;
+    roles.primary = role(primary, best.score >= 6 ? 'high' : 'medium', best.evidence);
+
+    // On-primary - the label color on that button, or the better of white/black
+    const label = opaque(best.button.states.default.color);
+    if (label && contrastRatio(label, primary) >= 3) {
+      roles['on-primary'] = role(label, 'high', ['text color of the primary button']);
+    }
+  } else {
+    // No filled buttons - fall back to the most used saturated palette color
+    const entry = palette.find((c) => c.confidence !== 'low' && opaque(c.color) && !isNeutral(opaque(c.color)));
+    if (entry) {
+      primary = opaque(entry.color);
+      roles.primary = role(primary, 'low', [`most used saturated color (${entry.count} uses)`, 'no filled buttons found']);
+    }
+  }
+
+  if (primary && !roles['on-primary']) {
+    const white = { r: 255, g: 255, b: 255 };
+    const black = { r: 0, g: 0, b: 0 };
+    const onPrimary = contrastRatio(white, primary) >= contrastRatio(black, primary) ? white : black;
+    roles['on-primary'] = role(onPrimary, 'low', ['best contrast against primary']);
+  }
+
+  // Accent - a vivid color clearly different from primary and body text
+  const onSurface = roles['on-surface'] && parseCssColor(roles['on-surface'].color);
+  const isDistinct = (rgb) =>
+    isVivid(rgb) &&
+    (!primary || deltaE(rgb, primary) >= 15) &&
+    (!onSurface || deltaE(rgb, onSurface) >= 15);
+  const linkColor = links.map((l) => opaque(l.color)).find((rgb) => rgb && isDistinct(rgb));
+  if (linkColor) {
+    roles.accent = role(linkColor, 'medium', ['link color', 'distinct from primary']);
+  } else {
+    const secondary = candidates.slice(1).find((c) => isDistinct(c.rgb));
+    const entry = !secondary && palette.find((c) => c.confidence !== 'low' && opaque(c.color) && isDistinct(opaque(c.color)));
+    if (secondary) {
+      roles.accent = role(secondary.rgb, 'medium', ['second filled button background', 'distinct from primary']);
+    } else if (entry) {
+      roles.accent = role(opaque(entry.color), 'low', [`saturated palette color (${entry.count} uses)`, 'distinct from primary']);
+    }
+  }
+
+  // Muted - secondary text: a less used neutral text color, still readable
+  const muted = textColors.find((t) =>
+    isNeutral(t.rgb) &&
+    (!onSurface || deltaE(t.rgb, onSurface) >= 10) &&
+    contrastRatio(t.rgb, surface) >= 2
+  );
+  if (muted) {
+    roles.muted = role(muted.rgb, muted.count >= 5 ? 'medium' : 'low', [
+      `secondary text color (${muted.count} text elements)`,
+    ]);
+  }
+
+  // Border - the most used visible border color
+  const border = [...(borders.combinations || [])]
+    .filter((b) => opaque(b.color) && parseFloat(b.width) > 0)
+    .sort((a, b) => b.count - a.count)[0];
+  if (border) {
+    roles.border = role(opaque(border.color), border.count >= 10 ? 'high' : 'medium', [
+      `${border.width} ${border.style} border on ${border.count} elements`,
+    ]);
+  }
+
+  // Status colors - badges first, then class names, then hue
+  const taken = [primary, roles.accent && parseCssColor(roles.accent.color)].filter(Boolean);
+  for (const status of ['success', 'warning', 'error']) {
+    const badge = (components.badges?.byVariant?.[status] || [])[0];
+    if (badge) {
+      const filled = badge.styleType === 'filled';
+      const rgb = opaque(filled ? badge.backgroundColor : badge.color);
+      if (rgb) {
+        roles[status] = role(rgb, 'high', [`${status} badge ${filled ? 'background' : 'text'}`]);
+        continue;
+      }
+    }
+
+    const named = palette.find((c) => c.sources?.some((s) => STATUS_KEYWORDS[status].test(s)) && opaque(c.color));
+    if (named) {
+      const source = named.sources.find((s) => STATUS_KEYWORDS[status].test(s));
+      roles[status] = role(opaque(named.color), 'medium', [`used by "${source}"`]);
+      continue;
+    }
+
+    const byHue = palette.find((c) => {
+      const rgb = opaque(c.color);
+      return rgb && !isNeutral(rgb) && STATUS_HUES[status](toHsl(rgb).h) &&
+        !taken.some((t) => deltaE(t, rgb) < 15);
+    });
+    if (byHue) {
+      roles[status] = role(opaque(byHue.color), 'low', [`${status} hue in palette (${byHue.count} uses)`]);
+    }
+  }
+
+  return roles;
+}
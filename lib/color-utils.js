@@ -0,0 +1,162 @@
+/**
+ * Color Utilities
+ * Parsing and color math for Node-side analysis (role inference, contrast).
+ * Browser-side extractors keep their own inline helpers, since functions
+ * can't be passed into page.evaluate().
+ */
+
+/**
+ * Parse a CSS color string
+ * Supports rgb()/rgba(), #rgb, #rrggbb, #rrggbbaa and a few keywords.
+ *
+ * @returns {Object|null} { r, g, b, a } with 0-255 channels and 0-1 alpha
+ */
+export function parseCssColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (color === 'white') return { r: 255, g: 255, b: 255, a: 1 };
+  if (color === 'black') return { r: 0, g: 0, b: 0, a: 1 };
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    let a = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4] && rgb[4].endsWith('%')) a /= 100;
+    return { r: Math.round(+rgb[1]), g: Math.round(+rgb[2]), b: Math.round(+rgb[3]), a };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, (c) => c + c) : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? Math.round((parseInt(digits.slice(6, 8), 16) / 255) * 1000) / 1000 : 1,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * { r, g, b } -> "#rrggbb"
+ */
+export function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map((c) => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hue (0-360), saturation and lightness (0-1)
+ */
+export function toHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  h = (h * 60 + 360) % 360;
+
+  return { h, s, l };
+}
+
+/**
+ * Grays, near-whites and near-blacks
+ */
+export function isNeutral(rgb) {
+  const { s, l } = toHsl(rgb);
+  return s < 0.15 || l < 0.08 || l > 0.96;
+}
+
+/**
+ * WCAG 2 relative luminance (0-1)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const [rl, gl, bl] = [r, g, b].map((c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+}
+
+/**
+ * WCAG 2 contrast ratio between two opaque colors (1-21)
+ */
+export function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * Composite a translucent color over an opaque background
+ */
+export function blendOver(color, background) {
+  const a = color.a ?? 1;
+  const mix = (top, bottom) => Math.round(top * a + bottom * (1 - a));
+  return {
+    r: mix(color.r, background.r),
+    g: mix(color.g, background.g),
+    b: mix(color.b, background.b),
+    a: 1,
+  };
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background, APCA-W3 0.0.98G
+ * Positive for dark text on light backgrounds, negative for light on dark;
+ * roughly -108 to 106, with |Lc| 75 the usual minimum for body text.
+ */
+export function apcaContrast(text, background) {
+  const luminance = ({ r, g, b }) => {
+    const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.072175 * (b / 255) ** 2.4;
+    // Soft clamp near black
+    return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+  };
+  const yText = luminance(text);
+  const yBackground = luminance(background);
+  if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+  if (yBackground > yText) {
+    const sapc = (yBackground ** 0.56 - yText ** 0.57) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (yBackground ** 0.65 - yText ** 0.62) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * CIE76 delta-E between two colors - below ~15 reads as "the same color"
+ */
+export function deltaE(a, b) {
+  const la = toLab(a);
+  const lb = toLab(b);
+  return Math.sqrt((la.L - lb.L) ** 2 + (la.a - lb.a) ** 2 + (la.b - lb.b) ** 2);
+}
+
+function toLab({ r, g, b }) {
+  const [rl, gl, bl] = [r, g, b].map((c) => {
+    const v = c / 255;
+    return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+  });
+
+  // D65 reference white
+  const x = (rl * 0.4124564 + gl * 0.3575761 + bl * 0.1804375) / 0.95047;
+  const y = rl * 0.2126729 + gl * 0.7151522 + bl * 0.072175;
+  const z = (rl * 0.0193339 + gl * 0.119192 + bl * 0.9503041) / 1.08883;
+
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  return {
+    L: 116 * f(y) - 16,
+    a: 500 * (f(x) - f(y)),
+    b: 200 * (f(y) - f(z)),
+  };
+}
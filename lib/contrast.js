@@ -0,0 +1,207 @@
+/**
+ * Contrast Audit
+ * Checks the text/background pairs found on the page, plus the hover, active
+ * and focus states of buttons, links and inputs, against WCAG 2 contrast
+ * minimums for their text size, and reports the APCA lightness contrast (Lc)
+ * alongside.
+ */
+
+import { parseCssColor, toHex, blendOver, contrastRatio, apcaContrast } from './color-utils.js';
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// WCAG 2 minimums (1.4.3 AA, 1.4.6 AAA)
+const WCAG = {
+  normal: { aa: 4.5, aaa: 7 },
+  large: { aa: 3, aaa: 4.5 },
+};
+
+const MAX_PAIRS = 60;
+
+/**
+ * WCAG large text: at least 24px, or 18.66px (14pt) and bold
+ */
+export function isLargeText(fontSize, fontWeight) {
+  const size = parseFloat(fontSize) || 16;
+  const weight = parseInt(fontWeight, 10) || 400;
+  return size >= 24 || (size >= 18.66 && weight >= 700);
+}
+
+/**
+ * Minimum APCA Lc for a text size and weight
+ * Simplified from the APCA bronze-level guidance: 90 preferred for small body
+ * text, 75 for body text, 60 for large text, 45 for headlines.
+ */
+export function apcaMinimum(fontSize, fontWeight) {
+  const size = parseFloat(fontSize) || 16;
+  const bold = (parseInt(fontWeight, 10) || 400) >= 700;
+  if (size >= 36 || (size >= 24 && bold)) return 45;
+  if (size >= 24 || (size >= 16 && bold)) return 60;
+  if (size >= 14) return 75;
+  return 90;
+}
+
+/**
+ * Check one pair
+ *
+ * @param {string} foreground - Text color (translucent colors are blended over the background)
+ * @param {string} background - Opaque background color
+ * @param {Object} text - { fontSize, fontWeight }
+ * @returns {Object|null} { foreground, background, ratio, apca, large, aa, aaa, level, apcaMinimum, apcaPass }
+ */
+export function checkContrast(foreground, background, { fontSize, fontWeight } = {}) {
+  const bg = parseCssColor(background);
+  const fg = parseCssColor(foreground);
+  if (!bg || !fg || bg.a < 1 || fg.a === 0) return null;
+
+  const text = blendOver(fg, bg);
+  const ratio = contrastRatio(text, bg);
+  const apca = apcaContrast(text, bg);
+  const large = isLargeText(fontSize, fontWeight);
+  const minimum = WCAG[large ? 'large' : 'normal'];
+  const aa = ratio >= minimum.aa;
+  const aaa = ratio >= minimum.aaa;
+  const apcaMin = apcaMinimum(fontSize, fontWeight);
+
+  return {
+    foreground: toHex(text),
+    background: toHex(bg),
+    ratio: Math.round(ratio * 100) / 100,
+    apca: Math.round(apca * 10) / 10,
+    large,
+    aa,
+    aaa,
+    level: aaa ? 'AAA' : aa ? 'AA' : 'fail',
+    apcaMinimum: apcaMin,
+    apcaPass: Math.abs(apca) >= apcaMin,
+  };
+}
+
+/**
+ * Opaque color over whatever is behind it
+ */
+function resolve(color, background) {
+  const rgb = parseCssColor(color);
+  if (!rgb) return null;
+  return rgb.a >= 1 ? rgb : blendOver(rgb, background);
+}
+
+/**
+ * Text/background pairs for component states
+ * A state that only changes the text color keeps the default background; a
+ * transparent background shows what the component sits on, taken from the
+ * page pairs of that kind with the same default text color (the page surface
+ * when there are none).
+ */
+function componentStatePairs(components = {}, pagePairs, surface) {
+  const pairs = [];
+  const backdrops = (kind, color) => {
+    const rgb = parseCssColor(color);
+    const hex = rgb && toHex(rgb);
+    const found = pagePairs
+      .filter((p) => p.kind === kind && p.color === hex && !p.overImage)
+      .map((p) => parseCssColor(p.background));
+    return found.length > 0 ? [...new Map(found.map((c) => [toHex(c), c])).values()] : [surface];
+  };
+  const add = (kind, state, base, changes, text) => {
+    if (!changes || (!changes.color && !changes.backgroundColor)) return;
+    const color = changes.color || base.color;
+    for (const backdrop of backdrops(kind, base.color)) {
+      const background = resolve(changes.backgroundColor || base.backgroundColor || 'transparent', backdrop);
+      const foreground = resolve(color, background || backdrop);
+      if (!background || !foreground) continue;
+      pairs.push({
+        color: toHex(foreground),
+        background: toHex(background),
+        fontSize: text.fontSize,
+        fontWeight: text.fontWeight,
+        kind,
+        source: `${kind}:${state}`,
+        count: 1,
+      });
+    }
+  };
+
+  for (const button of components.buttons || []) {
+    for (const state of ['hover', 'active', 'focus']) {
+      add('button', state, button.states.default, button.states[state], button);
+    }
+  }
+  for (const link of components.links || []) {
+    add('link', 'hover', link.states.default, link.states.hover, link);
+  }
+  for (const input of Object.values(components.inputs || {}).flat()) {
+    add('input', 'focus', input.states.default, input.states.focus, {});
+  }
+  for (const badge of components.badges?.all || []) {
+    add('badge', 'default', {}, { color: badge.color, backgroundColor: badge.backgroundColor }, badge);
+  }
+  return pairs;
+}
+
+/**
+ * Audit contrast across the page
+ * Pairs with the same colors and text size class are merged; the smallest
+ * text among them decides the APCA minimum. Text over a background image is
+ * kept but marked, since the color behind it is a guess.
+ *
+ * @param {Object} input
+ * @param {Array} input.pairs - [{ color, background, fontSize, fontWeight, kind, count, sample, overImage }] from extractContrastPairs
+ * @param {Object} input.components - { buttons, inputs, links, badges }
+ * @param {string} input.surface - Page background, for transparent component states
+ * @returns {Object} { summary: { pairs, failAA, failAAA, failAPCA }, pairs } failing pairs first
+ */
+export function analyzeContrast({ pairs = [], components = {}, surface } = {}) {
+  const surfaceRgb = resolve(surface || '#ffffff', WHITE) || WHITE;
+  const all = [
+    ...pairs.map((p) => ({ ...p, source: p.kind })),
+    ...componentStatePairs(components, pairs, surfaceRgb),
+  ];
+
+  const merged = new Map();
+  for (const pair of all) {
+    const result = checkContrast(pair.color, pair.background, pair);
+    if (!result) continue;
+
+    const key = `${result.foreground}|${result.background}|${result.large}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, {
+        ...result,
+        fontSize: pair.fontSize,
+        fontWeight: pair.fontWeight,
+        count: pair.count || 1,
+        sources: [pair.source],
+        ...(pair.sample && { sample: pair.sample }),
+        ...(pair.overImage && { overImage: true }),
+      });
+      continue;
+    }
+
+    existing.count += pair.count || 1;
+    if (!existing.sources.includes(pair.source)) existing.sources.push(pair.source);
+    if (!existing.sample && pair.sample) existing.sample = pair.sample;
+    if (!pair.overImage) delete existing.overImage;
+    if (parseFloat(pair.fontSize) < parseFloat(existing.fontSize)) {
+      existing.fontSize = pair.fontSize;
+      existing.fontWeight = pair.fontWeight;
+      existing.apcaMinimum = apcaMinimum(pair.fontSize, pair.fontWeight);
+      existing.apcaPass = Math.abs(existing.apca) >= existing.apcaMinimum;
+    }
+  }
+
+  const LEVEL_ORDER = { fail: 0, AA: 1, AAA: 2 };
+  const results = [...merged.values()]
+    .sort((a, b) => LEVEL_ORDER[a.level] - LEVEL_ORDER[b.level] || b.count - a.count)
+    .slice(0, MAX_PAIRS);
+
+  return {
+    summary: {
+      pairs: merged.size,
+      failAA: [...merged.values()].filter((p) => !p.aa).length,
+      failAAA: [...merged.values()].filter((p) => !p.aaa).length,
+      failAPCA: [...merged.values()].filter((p) => !p.apcaPass).length,
+    },
+    pairs: results,
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Same-Site Crawler
+ *
+ * Follows same-origin links breadth-first from a start URL, runs the DOM
+ * extractors on every page, and merges the results into one site-wide token
+ * set. Each merged token records the pages it appeared on and how often.
+ */
+
+import { createStealthContext, extractPageTokens } from "./extractors.js";
+
+// Links to files rather than pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|dmg|exe|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mov|mp3|wav|xml|json|rss|txt|csv|woff2?|ttf|otf)$/i;
+
+/**
+ * Crawl same-origin pages and aggregate their tokens
+ *
+ * @param {string} url - Start URL (usually the final URL of the landing page)
+ * @param {Object} progress - Progress reporter (see lib/progress.js)
+ * @param {Object} browser - Launched browser instance
+ * @param {Object} options - maxDepth, maxPages, slow, navigationTimeout
+ * @returns {Object} Crawl summary with visited pages and merged site-wide tokens
+ */
+export async function crawlSite(url, progress, browser, options = {}) {
+  const timeoutMultiplier = options.slow ? 3 : 1;
+  const maxDepth = options.maxDepth ?? 2;
+  const maxPages = options.maxPages ?? 10;
+
+  const startUrl = normalizePageUrl(url);
+  const origin = new URL(startUrl).origin;
+  const queue = [{ url: startUrl, depth: 0 }];
+  const queued = new Set([startUrl]);
+  const pages = [];
+  const pageTokens = [];
+
+  const context = await createStealthContext(browser);
+  const page = await context.newPage();
+
+  try {
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url: pageUrl, depth } = queue.shift();
+      const start = Date.now();
+      progress.start(`Crawling ${pageUrl} (${pages.length + 1}/${maxPages}, depth ${depth})...`);
+
+      try {
+        await page.goto(pageUrl, {
+          waitUntil: "domcontentloaded",
+          timeout: (options.navigationTimeout || 20000) * timeoutMultiplier,
+        });
+        await page.waitForFunction(
+          () => document.body && document.body.children.length > 0,
+          { timeout: 10000 * timeoutMultiplier }
+        ).catch(() => { });
+        // Shorter hydration than the landing page - this runs once per page
+        await page.waitForTimeout(3000 * timeoutMultiplier);
+
+        // Redirects can leave the site; don't attribute another origin's tokens to it
+        const finalUrl = normalizePageUrl(page.url());
+        if (new URL(finalUrl).origin !== origin) {
+          pages.push({ url: pageUrl, depth, status: "skipped", reason: `redirected to ${finalUrl}`, durationMs: Date.now() - start });
+          continue;
+        }
+
+        const tokens = await extractPageTokens(page, finalUrl);
+        pageTokens.push({ url: finalUrl, tokens });
+        pages.push({ url: finalUrl, depth, status: "success", durationMs: Date.now() - start });
+
+        if (depth < maxDepth) {
+          for (const link of await collectSameOriginLinks(page, origin)) {
+            if (!queued.has(link)) {
+              queued.add(link);
+              queue.push({ url: link, depth: depth + 1 });
+            }
+          }
+        }
+      } catch (err) {
+        pages.push({ url: pageUrl, depth, status: "failed", error: err.message, durationMs: Date.now() - start });
+      }
+    }
+  } finally {
+    await context.close().catch(() => { });
+  }
+
+  const crawled = pages.filter((p) => p.status === "success").length;
+  if (crawled > 0) {
+    progress.success(`Crawl: ${crawled} pages analyzed (${queued.size} links discovered)`);
+  } else {
+    progress.warn(`Crawl: 0 pages analyzed`);
+  }
+
+  return {
+    startUrl,
+    maxDepth,
+    maxPages,
+    pages,
+    tokens: mergePageTokens(pageTokens),
+  };
+}
+
+/**
+ * Drop hash and query so /pricing and /pricing?ref=nav count as one page
+ */
+function normalizePageUrl(href) {
+  const parsed = new URL(href);
+  parsed.hash = "";
+  parsed.search = "";
+  return parsed.href;
+}
+
+/**
+ * Collect crawlable same-origin links from the current page
+ */
+async function collectSameOriginLinks(page, origin) {
+  const hrefs = await page.evaluate(() =>
+    Array.from(document.querySelectorAll("a[href]"))
+      .filter((a) => !a.hasAttribute("download") && a.getAttribute("rel") !== "nofollow")
+      .map((a) => a.href)
+  );
+
+  const links = [];
+  for (const href of hrefs) {
+    try {
+      const parsed = new URL(href);
+      if (parsed.origin !== origin) continue;
+      if (SKIPPED_EXTENSIONS.test(parsed.pathname)) continue;
+      links.push(normalizePageUrl(parsed.href));
+    } catch {
+      // Invalid or non-http href (mailto:, javascript:)
+    }
+  }
+  return [...new Set(links)];
+}
+
+/**
+ * Merge items from every page by key
+ * Every merged entry gets pages (URLs it appeared on), pageCount and count
+ * (total occurrences - the item's own count when it has one, otherwise one per page).
+ */
+function mergeBy(pageTokens, getItems, getKey) {
+  const merged = new Map();
+
+  for (const { url, tokens } of pageTokens) {
+    for (const item of getItems(tokens) || []) {
+      const key = getKey(item);
+      if (!key) continue;
+
+      const occurrences = typeof item.count === "number" ? item.count : 1;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...item, count: occurrences, pages: [url] });
+        continue;
+      }
+
+      existing.count += occurrences;
+      if (!existing.pages.includes(url)) existing.pages.push(url);
+      if (confidenceRank(item.confidence) > confidenceRank(existing.confidence)) {
+        existing.confidence = item.confidence;
+      }
+    }
+  }
+
+  return Array.from(merged.values())
+    .map((entry) => ({ ...entry, pageCount: entry.pages.length }))
+    .sort((a, b) => b.pageCount - a.pageCount || b.count - a.count);
+}
+
+function confidenceRank(confidence) {
+  return { high: 3, medium: 2, low: 1 }[confidence] || 0;
+}
+
+/**
+ * Merge per-page extractor output into one site-wide token set
+ */
+export function mergePageTokens(pageTokens) {
+  return {
+    colors: mergeBy(pageTokens, (t) => t.colors?.palette, (c) => c.normalized),
+    typography: mergeBy(
+      pageTokens,
+      (t) => t.typography?.styles,
+      (s) => `${s.family}|${s.size}|${s.weight}|${s.context}`
+    ),
+    spacing: mergeBy(pageTokens, (t) => t.spacing?.commonValues, (v) => v.px),
+    borderRadius: mergeBy(pageTokens, (t) => t.borderRadius?.values, (r) => r.value),
+    borders: mergeBy(
+      pageTokens,
+      (t) => t.borders?.combinations,
+      (b) => `${b.width}|${b.style}|${b.color}`
+    ),
+    shadows: mergeBy(pageTokens, (t) => t.shadows, (s) => s.shadow),
+    buttons: mergeBy(
+      pageTokens,
+      (t) => t.components?.buttons,
+      (b) => `${b.states.default.backgroundColor}|${b.states.default.color}|${b.states.default.borderRadius}`
+    ),
+    inputs: mergeBy(
+      pageTokens,
+      (t) => Object.values(t.components?.inputs || {}).flat(),
+      (i) => `${i.specificType}|${i.states.default.border}|${i.states.default.borderRadius}|${i.states.default.backgroundColor}`
+    ),
+    links: mergeBy(pageTokens, (t) => t.components?.links, (l) => l.color),
+    badges: mergeBy(
+      pageTokens,
+      (t) => t.components?.badges?.all,
+      (b) => `${b.backgroundColor}|${b.color}|${b.borderRadius}|${b.styleType}`
+    ),
+    breakpoints: mergeBy(pageTokens, (t) => t.breakpoints, (bp) => bp.px)
+      .sort((a, b) => parseFloat(a.px) - parseFloat(b.px)),
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * CSS Custom Properties & SCSS Exporter
+ * Renders the tokens selected by toW3CFormat as a :root stylesheet or an
+ * SCSS partial with variables and maps. Dark theme values (--dark-mode) become
+ * overrides of the same names in a [data-theme="dark"] block and a
+ * prefers-color-scheme query.
+ */
+
+import { toW3CFormat } from './w3c-exporter.js';
+import { resolveAlias } from './token-utils.js';
+
+// Variable prefix -> SCSS map name
+const GROUPS = {
+  color: 'colors',
+  font: 'fonts',
+  text: 'text-styles',
+  space: 'spacing',
+  radius: 'radii',
+  border: 'borders',
+  shadow: 'shadows',
+  gradient: 'gradients',
+  layout: 'layout',
+};
+
+/**
+ * W3C color token value -> CSS color (hex, or rgba() with transparency)
+ */
+function toCssColor(value) {
+  if (value.alpha === undefined) return value.hex;
+  const [r, g, b] = value.components.map((c) => Math.round(c * 255));
+  return `rgba(${r}, ${g}, ${b}, ${value.alpha})`;
+}
+
+/**
+ * W3C dimension value -> CSS length
+ */
+function toCssDimension(value) {
+  return `${value.value}${value.unit}`;
+}
+
+/**
+ * Quote font family names that need it (Helvetica Neue -> "Helvetica Neue")
+ */
+function toCssFontFamily(family) {
+  return /^[a-z-]+$/i.test(family) ? family : `"${family}"`;
+}
+
+/**
+ * Strip the numbered prefix the W3C exporter adds (palette-1 -> 1, spacing-3 -> 3)
+ */
+function stripPrefix(name, prefix) {
+  return name.startsWith(`${prefix}-`) ? name.slice(prefix.length + 1) : name;
+}
+
+/**
+ * Collect color tokens as [name, value] pairs
+ * Aliases are resolved to concrete colors so a dark block that overrides
+ * palette entries can't change what a semantic color points at.
+ *
+ * @param {string} mode - 'light' for every token, 'dark' for tokens whose dark value differs
+ */
+function collectColors(w3c, mode = 'light') {
+  const entries = [];
+  for (const group of ['semantic', 'palette']) {
+    for (const [name, token] of Object.entries(w3c.color?.[group] || {})) {
+      const light = toCssColor(resolveAlias(w3c, token.$value));
+      if (mode === 'dark') {
+        const dark = token.$extensions?.mode?.dark;
+        if (dark && toCssColor(dark) !== light) entries.push([name, toCssColor(dark)]);
+      } else {
+        entries.push([name, light]);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Layout tokens as [name, token] pairs (container-1, columns, gutter, page-margin)
+ */
+function flattenLayout(layout) {
+  const { container, ...rest } = layout || {};
+  return [...Object.entries(container || {}), ...Object.entries(rest)];
+}
+
+/**
+ * Collect every token group from an extraction result
+ * Values are CSS strings, or { ref } for references to another variable.
+ *
+ * @returns {Object} Prefix (color, font, ...) -> [name, value] pairs, plus darkColor overrides
+ */
+function collectTokens(extractionResult) {
+  const w3c = toW3CFormat(extractionResult);
+  const groups = {};
+
+  groups.color = collectColors(w3c);
+  groups.darkColor = collectColors(w3c, 'dark');
+
+  // Font stacks keep the fallbacks seen on the page
+  const styles = extractionResult.typography?.styles || [];
+  groups.font = Object.entries(w3c.typography?.['font-family'] || {}).map(([name, token]) => {
+    const fallbacks = styles.find((s) => s.family === token.$value && s.fallbacks)?.fallbacks;
+    const stack = [token.$value, ...(fallbacks ? fallbacks.split(',').map((f) => f.trim()) : [])];
+    return [name, stack.map(toCssFontFamily).join(', ')];
+  });
+
+  groups.text = [];
+  for (const [styleName, token] of Object.entries(w3c.typography?.style || {})) {
+    const name = stripPrefix(styleName, 'text');
+    const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = token.$value;
+    if (fontFamily) {
+      const ref = fontFamily.match(/^\{typography\.font-family\.(.+)\}$/);
+      groups.text.push([`${name}-font-family`, ref ? { ref: `font-${ref[1]}` } : fontFamily]);
+    }
+    if (fontSize) groups.text.push([`${name}-font-size`, toCssDimension(fontSize)]);
+    if (fontWeight) groups.text.push([`${name}-font-weight`, String(fontWeight)]);
+    if (lineHeight) groups.text.push([`${name}-line-height`, String(lineHeight)]);
+    if (letterSpacing?.value) groups.text.push([`${name}-letter-spacing`, toCssDimension(letterSpacing)]);
+  }
+
+  groups.space = Object.entries(w3c.spacing || {})
+    .map(([name, token]) => [stripPrefix(name, 'spacing'), toCssDimension(token.$value)]);
+
+  groups.radius = Object.entries(w3c.radius || {})
+    .map(([name, token]) => [stripPrefix(name, 'radius'), toCssDimension(token.$value)]);
+
+  groups.border = [
+    ...Object.entries(w3c.border?.width || {})
+      .map(([name, token]) => [stripPrefix(name, 'border'), toCssDimension(token.$value)]),
+    ...Object.entries(w3c.border?.color || {})
+      .map(([name, token]) => [stripPrefix(name, 'border'), toCssColor(resolveAlias(w3c, token.$value))]),
+  ];
+
+  groups.layout = flattenLayout(w3c.layout).map(([name, token]) => {
+    const value = resolveAlias(w3c, token.$value);
+    return [name, typeof value === 'number' ? String(value) : toCssDimension(value)];
+  });
+
+  // Shadows come from the raw values with the W3C selection (no low
+  // confidence, top 6): CSS keeps every layer, a DTCG token only one
+  groups.shadow = (extractionResult.shadows || [])
+    .filter((entry) => entry.confidence !== 'low')
+    .slice(0, 6)
+    .map((entry, index) => [String(index + 1), entry.shadow]);
+
+  groups.gradient = (extractionResult.gradients || [])
+    .map((gradient) => [stripPrefix(gradient.name, 'gradient'), gradient.css]);
+
+  return groups;
+}
+
+/**
+ * Render CSS declarations for a list of [name, value] pairs
+ */
+function cssDeclarations(prefix, entries, indent) {
+  return entries.map(([name, value]) => {
+    const cssValue = typeof value === 'object' ? `var(--${value.ref})` : value;
+    return `${indent}--${prefix}-${name}: ${cssValue};`;
+  });
+}
+
+/**
+ * Render tokens as CSS custom properties on :root
+ *
+ * @param {Object} extractionResult - Raw dembrandt extraction result
+ * @returns {string} Stylesheet content
+ */
+export function toCssVariables(extractionResult) {
+  const groups = collectTokens(extractionResult);
+  const lines = [
+    `/* Design tokens extracted from ${extractionResult.url} by dembrandt */`,
+    '',
+    ':root {',
+  ];
+
+  const sections = Object.keys(GROUPS)
+    .filter((prefix) => groups[prefix].length > 0)
+    .map((prefix) => cssDeclarations(prefix, groups[prefix], '  '));
+  sections.forEach((declarations, index) => {
+    if (index > 0) lines.push('');
+    lines.push(...declarations);
+  });
+  lines.push('}');
+
+  const darkColors = groups.darkColor;
+  if (darkColors.length > 0) {
+    lines.push(
+      '',
+      '[data-theme="dark"] {',
+      ...cssDeclarations('color', darkColors, '  '),
+      '}',
+      '',
+      '@media (prefers-color-scheme: dark) {',
+      '  :root:not([data-theme="light"]) {',
+      ...cssDeclarations('color', darkColors, '    '),
+      '  }',
+      '}'
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render tokens as an SCSS partial - one variable per token plus a map per group
+ *
+ * @param {Object} extractionResult - Raw dembrandt extraction result
+ * @returns {string} SCSS content
+ */
+export function toScss(extractionResult) {
+  const groups = collectTokens(extractionResult);
+  const scssValue = (value) => (typeof value === 'object' ? `$${value.ref}` : value);
+  const lines = [`// Design tokens extracted from ${extractionResult.url} by dembrandt`];
+
+  const renderMap = (mapName, prefix, entries) => [
+    `$${mapName}: (`,
+    ...entries.map(([name]) => `  "${name}": $${prefix}-${name},`),
+    ');',
+  ];
+
+  for (const [prefix, mapName] of Object.entries(GROUPS)) {
+    const entries = groups[prefix];
+    if (entries.length === 0) continue;
+
+    lines.push('', ...entries.map(([name, value]) => `$${prefix}-${name}: ${scssValue(value)};`));
+    lines.push('', ...renderMap(mapName, prefix, entries));
+  }
+
+  const darkColors = groups.darkColor;
+  if (darkColors.length > 0) {
+    lines.push(
+      '',
+      '// Dark mode overrides for the color tokens above',
+      ...darkColors.map(([name, value]) => `$color-dark-${name}: ${value};`),
+      '',
+      ...renderMap('colors-dark', 'color-dark', darkColors)
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
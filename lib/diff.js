@@ -0,0 +1,172 @@
+/**
+ * Result Diff
+ * Compares two extraction results token by token instead of line by line:
+ * palette colors are matched by delta-E, color roles and type styles by role,
+ * and spacing, radii, borders, shadows, gradients and breakpoints by value.
+ * Counts and palette order shift between runs, so they never count as changes.
+ */
+
+import { parseCssColor, toHex, deltaE } from './color-utils.js';
+import { analyzeTypography } from './type-scale.js';
+
+// Palette colors closer than this are the same color, possibly shifted
+const COLOR_THRESHOLD = 10;
+
+// Type style properties compared per role
+const TYPE_FIELDS = ['family', 'size', 'weight', 'lineHeight', 'letterSpacing', 'transform'];
+
+/**
+ * Palette color as #rrggbb, null when unparseable
+ */
+function paletteHex(entry) {
+  const rgb = parseCssColor(entry.normalized || entry.color);
+  return rgb ? toHex(rgb) : null;
+}
+
+/**
+ * Match palette colors: exact hex first, then the closest pair under the
+ * threshold, so each color matches at most one on the other side
+ */
+function diffColors(before = [], after = [], threshold) {
+  const left = [...new Set(before.map(paletteHex).filter(Boolean))];
+  const right = [...new Set(after.map(paletteHex).filter(Boolean))];
+  const unmatchedLeft = left.filter((hex) => !right.includes(hex));
+  const unmatchedRight = right.filter((hex) => !left.includes(hex));
+
+  const candidates = [];
+  for (const a of unmatchedLeft) {
+    for (const b of unmatchedRight) {
+      const distance = deltaE(parseCssColor(a), parseCssColor(b));
+      if (distance < threshold) candidates.push({ a, b, distance });
+    }
+  }
+
+  const changed = [];
+  const used = new Set();
+  for (const { a, b, distance } of candidates.sort((x, y) => x.distance - y.distance)) {
+    if (used.has(a) || used.has(b)) continue;
+    used.add(a);
+    used.add(b);
+    changed.push({ name: a, before: a, after: b, deltaE: Math.round(distance * 10) / 10 });
+  }
+
+  return {
+    added: unmatchedRight.filter((hex) => !used.has(hex)).map((hex) => ({ name: hex, value: hex })),
+    removed: unmatchedLeft.filter((hex) => !used.has(hex)).map((hex) => ({ name: hex, value: hex })),
+    changed,
+  };
+}
+
+/**
+ * Color roles by role name
+ */
+function diffRoles(before = {}, after = {}) {
+  const result = { added: [], removed: [], changed: [] };
+  for (const [name, role] of Object.entries(before)) {
+    if (!after[name]) result.removed.push({ name, value: role.color });
+  }
+  for (const [name, role] of Object.entries(after)) {
+    const previous = before[name];
+    if (!previous) {
+      result.added.push({ name, value: role.color });
+    } else if (previous.color.toLowerCase() !== role.color.toLowerCase()) {
+      const distance = deltaE(parseCssColor(previous.color), parseCssColor(role.color));
+      result.changed.push({ name, before: previous.color, after: role.color, deltaE: Math.round(distance * 10) / 10 });
+    }
+  }
+  return result;
+}
+
+/**
+ * Type ramp of a result - results saved before roles existed get one now
+ */
+function typeRamp(typography) {
+  if (!typography) return [];
+  if (typography.ramp) return typography.ramp;
+  return analyzeTypography({ ...typography, styles: (typography.styles || []).map((s) => ({ ...s })) }).ramp;
+}
+
+/**
+ * Type styles by role, reporting which properties changed
+ */
+function diffTypography(before, after) {
+  const result = { added: [], removed: [], changed: [] };
+  const pick = (style) => Object.fromEntries(TYPE_FIELDS.map((field) => [field, style[field] ?? null]));
+  const beforeRamp = typeRamp(before);
+  const afterRamp = typeRamp(after);
+
+  for (const style of beforeRamp) {
+    if (!afterRamp.some((s) => s.name === style.name)) result.removed.push({ name: style.name, value: pick(style) });
+  }
+  for (const style of afterRamp) {
+    const previous = beforeRamp.find((s) => s.name === style.name);
+    if (!previous) {
+      result.added.push({ name: style.name, value: pick(style) });
+      continue;
+    }
+    const fields = TYPE_FIELDS.filter((field) => String(previous[field] ?? '') !== String(style[field] ?? ''));
+    if (fields.length > 0) {
+      result.changed.push({ name: style.name, before: pick(previous), after: pick(style), fields });
+    }
+  }
+  return result;
+}
+
+/**
+ * Plain value sets (spacing, radii, shadows, ...) - a value is either there or not
+ */
+function diffValues(before = [], after = []) {
+  const left = [...new Set(before.filter(Boolean))];
+  const right = [...new Set(after.filter(Boolean))];
+  return {
+    added: right.filter((v) => !left.includes(v)).map((v) => ({ name: v, value: v })),
+    removed: left.filter((v) => !right.includes(v)).map((v) => ({ name: v, value: v })),
+    changed: [],
+  };
+}
+
+/**
+ * Token values compared per section
+ */
+function sectionValues(result) {
+  return {
+    fonts: [...new Set((result.typography?.styles || []).map((s) => s.family).filter(Boolean))],
+    spacing: (result.spacing?.commonValues || []).map((v) => v.px),
+    borderRadius: (result.borderRadius?.values || []).map((v) => v.value),
+    borderWidths: (result.borders?.combinations || []).map((c) => c.width),
+    shadows: (result.shadows || []).map((s) => s.shadow.replace(/\s+/g, ' ').trim()),
+    gradients: (result.gradients || []).map((g) => g.css),
+    breakpoints: (result.breakpoints || []).map((b) => b.px),
+  };
+}
+
+/**
+ * Compare two extraction results
+ *
+ * @param {Object} before - Earlier extractBranding result (saved JSON)
+ * @param {Object} after - Later result
+ * @param {Object} options
+ * @param {number} options.colorThreshold - Delta-E under which two colors are one changed color
+ * @returns {Object} { before, after, summary: { added, removed, changed }, sections: { colors: { added, removed, changed }, ... } }
+ */
+export function diffResults(before, after, { colorThreshold = COLOR_THRESHOLD } = {}) {
+  const beforeValues = sectionValues(before);
+  const afterValues = sectionValues(after);
+
+  const sections = {
+    colors: diffColors(before.colors?.palette, after.colors?.palette, colorThreshold),
+    colorRoles: diffRoles(before.colors?.roles, after.colors?.roles),
+    typography: diffTypography(before.typography, after.typography),
+  };
+  for (const name of Object.keys(beforeValues)) {
+    sections[name] = diffValues(beforeValues[name], afterValues[name]);
+  }
+
+  const count = (kind) => Object.values(sections).reduce((sum, section) => sum + section[kind].length, 0);
+  return {
+    before: { url: before.url, extractedAt: before.extractedAt },
+    after: { url: after.url, extractedAt: after.extractedAt },
+    summary: { added: count('added'), removed: count('removed'), changed: count('changed') },
+    sections,
+  };
+}
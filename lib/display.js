@@ -34,47 +34,90 @@ export function displayResults(data) {
   console.log(chalk.dim('├─') + ' ' + chalk.dim(timeString));
   console.log(chalk.dim('│'));
 
-  displayLogo(data.logo);
+  displayLogo(data.logo, data.logos);
   displayFavicons(data.favicons);
   displayColors(data.colors);
+  displayColorRoles(data.colors?.roles);
+  displayThemes(data.themes);
   displayTypography(data.typography);
   displaySpacing(data.spacing);
+  displayLayout(data.layout);
   displayBorderRadius(data.borderRadius);
   displayBorders(data.borders);
   displayShadows(data.shadows);
+  displayGradients(data.gradients);
+  displayMotion(data.motion);
   displayButtons(data.components?.buttons);
   displayBadges(data.components?.badges);
   displayInputs(data.components?.inputs);
   displayLinks(data.components?.links);
+  displayContrast(data.contrast);
   displayBreakpoints(data.breakpoints);
+  displayResponsive(data.responsive);
   displayIconSystem(data.iconSystem);
   displayFrameworks(data.frameworks);
+  displayLint(data.lint);
+  displayCrawl(data.crawl);
 
   console.log(chalk.dim('│'));
   console.log(chalk.dim('└─') + ' ' + chalk.hex('#50FA7B')('✓ Complete'));
   console.log('');
 }
 
-function displayLogo(logo) {
+function displayLogo(logo, logos = []) {
   if (!logo) return;
 
   console.log(chalk.dim('├─') + ' ' + chalk.bold('Logo'));
 
+  // Collected first so the last line gets the closing branch
+  const lines = [];
+
   if (logo.url) {
-    console.log(chalk.dim('│  ├─') + ' ' + chalk.blue(terminalLink(logo.url)));
+    lines.push(chalk.blue(terminalLink(logo.url)));
   }
 
   if (logo.width && logo.height) {
-    console.log(chalk.dim('│  ├─') + ' ' + chalk.dim(`${logo.width}×${logo.height}px`));
+    lines.push(chalk.dim(`${logo.width}×${logo.height}px`));
   }
 
   if (logo.safeZone) {
     const { top, right, bottom, left } = logo.safeZone;
     if (top > 0 || right > 0 || bottom > 0 || left > 0) {
-      console.log(chalk.dim('│  └─') + ' ' + chalk.dim(`Safe zone: ${top}px ${right}px ${bottom}px ${left}px`));
+      lines.push(chalk.dim(`Safe zone: ${top}px ${right}px ${bottom}px ${left}px`));
     }
   }
 
+  if (logo.colors?.length > 0) {
+    const swatches = logo.colors.map(({ color, share }) => {
+      try {
+        return `${chalk.bgHex(color)('  ')} ${color} ${chalk.dim(`${Math.round(share * 100)}%`)}`;
+      } catch {
+        return `${color} ${chalk.dim(`${Math.round(share * 100)}%`)}`;
+      }
+    });
+    lines.push(`Colors: ${swatches.join('  ')}`);
+  }
+
+  if (logo.reasons?.length > 0) {
+    lines.push(chalk.dim(`Score ${logo.score}: ${logo.reasons.join(', ')}`));
+  }
+
+  // Other variants, best scoring first
+  const variants = logos.filter((variant) => variant !== logo && variant.variant !== 'primary');
+  if (variants.length > 0) lines.push('Variants');
+
+  lines.forEach((line, index) => {
+    const branch = index === lines.length - 1 ? '└─' : '├─';
+    console.log(chalk.dim(`│  ${branch}`) + ' ' + line);
+  });
+
+  variants.forEach((variant, index) => {
+    const branch = index === variants.length - 1 ? '└─' : '├─';
+    const shape = variant.shape && variant.shape !== variant.variant ? chalk.dim(` · ${variant.shape}`) : '';
+    const target = variant.source === 'svg' ? chalk.dim('inline svg') : chalk.blue(terminalLink(variant.url));
+    console.log(chalk.dim(`│     ${branch}`) + ' ' + `${chalk.hex('#8BE9FD')(variant.variant)}${shape} ${chalk.dim(`· score ${variant.score}`)} ${target}`);
+  });
+
   console.log(chalk.dim('│'));
 }
 
@@ -209,7 +252,7 @@ function displayColors(colors) {
         hex: formats.hex,
         rgb: formats.rgb,
         hasAlpha: formats.hasAlpha,
-        label: '',
+        label: c.sources?.includes('logo') ? 'logo' : '',
         type: 'palette',
         confidence: c.confidence
       });
@@ -275,6 +318,56 @@ function displayColors(colors) {
   console.log(chalk.dim('│'));
 }
 
+function displayColorRoles(roles) {
+  const entries = Object.entries(roles || {});
+  if (entries.length === 0) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Color Roles'));
+
+  entries.forEach(([role, { color, confidence, evidence }], index) => {
+    const isLast = index === entries.length - 1;
+    const branch = isLast ? '└─' : '├─';
+    let conf;
+    if (confidence === 'high') conf = chalk.hex('#50FA7B')('●');
+    else if (confidence === 'medium') conf = chalk.hex('#FFB86C')('●');
+    else conf = chalk.gray('●');
+
+    console.log(
+      chalk.dim(`│  ${branch}`) + ' ' +
+      `${conf} ${chalk.bgHex(color)('  ')} ${color.padEnd(9)} ${role.padEnd(11)} ${chalk.dim(evidence[0] || '')}`
+    );
+  });
+
+  console.log(chalk.dim('│'));
+}
+
+function displayThemes(themes) {
+  if (!themes) return;
+  const roles = Object.entries(themes.pairs?.roles || {});
+  const colors = (themes.pairs?.colors || []).filter((pair) => pair.light !== pair.dark);
+  if (roles.length === 0 && colors.length === 0) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Light / Dark'));
+
+  const rows = [
+    ...roles.map(([name, { light, dark }]) => ({ light, dark, label: name })),
+    ...colors.slice(0, 8).map(({ light, dark, property, count }) => ({
+      light,
+      dark,
+      label: chalk.dim(`${property} on ${count} elements`),
+    })),
+  ];
+  rows.forEach(({ light, dark, label }, index) => {
+    const branch = index === rows.length - 1 ? '└─' : '├─';
+    console.log(
+      chalk.dim(`│  ${branch}`) + ' ' +
+      `${chalk.bgHex(light)('  ')} ${light.padEnd(9)}${chalk.dim('→')} ${chalk.bgHex(dark)('  ')} ${dark.padEnd(9)} ${label}`
+    );
+  });
+
+  console.log(chalk.dim('│'));
+}
+
 function displayTypography(typography) {
   console.log(chalk.dim('├─') + ' ' + chalk.bold('Typography'));
 
@@ -291,7 +384,21 @@ function displayTypography(typography) {
     }
   }
 
-  // Group styles by font family, then by context
+  // Modular scale and named ramp
+  if (typography.scale) {
+    const { name, ratio, fit, matches } = typography.scale;
+    const verdict = matches ? chalk.hex('#50FA7B')('follows') : chalk.dim('closest');
+    console.log(chalk.dim('│  ├─') + ' ' + `Scale: ${name} (${ratio}) ${verdict} ${chalk.dim(`· fit ${fit}`)}`);
+  }
+  if (typography.ramp?.length > 0) {
+    const ramp = typography.ramp.map((entry) => {
+      const step = entry.step !== undefined ? chalk.dim(` ${entry.step > 0 ? '+' : ''}${entry.step}`) : '';
+      return `${chalk.hex('#8BE9FD')(entry.name)} ${entry.size}${step}`;
+    });
+    console.log(chalk.dim('│  ├─') + ' ' + `Ramp: ${ramp.join(chalk.dim(' · '))}`);
+  }
+
+  // Group styles by font family, then by role
   if (typography.styles?.length > 0) {
     const fontFamilies = new Map();
 
@@ -307,7 +414,7 @@ function displayTypography(typography) {
       }
 
       const familyData = fontFamilies.get(style.family);
-      const contextKey = style.context || 'unknown';
+      const contextKey = style.role || style.context || 'unknown';
       if (!familyData.contexts.has(contextKey)) {
         familyData.contexts.set(contextKey, []);
       }
@@ -386,6 +493,29 @@ function displaySpacing(spacing) {
   console.log(chalk.dim('│'));
 }
 
+function displayLayout(layout) {
+  if (!layout) return;
+
+  const rows = [];
+  if (layout.containers?.length > 0) {
+    rows.push(`${chalk.dim('Containers'.padEnd(12))} ${layout.containers.slice(0, 4).map((c) => c.maxWidth).join(' · ')}`);
+  }
+  if (layout.columns) {
+    const grids = layout.grids.slice(0, 3).map((g) => `${g.columns} cols / ${g.gap}`).join(', ');
+    rows.push(`${chalk.dim('Columns'.padEnd(12))} ${layout.columns} ${chalk.dim(`(${grids})`)}`);
+  }
+  if (layout.gutter) rows.push(`${chalk.dim('Gutter'.padEnd(12))} ${layout.gutter}`);
+  if (layout.pageMargin) rows.push(`${chalk.dim('Page margin'.padEnd(12))} ${layout.pageMargin}`);
+  if (rows.length === 0) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Layout'));
+  rows.forEach((row, index) => {
+    const branch = index === rows.length - 1 ? '└─' : '├─';
+    console.log(chalk.dim(`│  ${branch}`) + ' ' + row);
+  });
+  console.log(chalk.dim('│'));
+}
+
 function displayBorderRadius(borderRadius) {
   if (!borderRadius || borderRadius.values.length === 0) return;
 
@@ -482,6 +612,82 @@ function displayShadows(shadows) {
   console.log(chalk.dim('│'));
 }
 
+/**
+ * Render a gradient as a strip of colored cells, sampled at even steps
+ * Alpha is ignored: the terminal background behind it is unknown.
+ */
+function gradientSwatch(stops, width = 24) {
+  const channels = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  let swatch = '';
+  for (let i = 0; i < width; i++) {
+    const t = i / (width - 1);
+    const after = stops.findIndex((stop) => stop.position >= t);
+    const to = stops[after === -1 ? stops.length - 1 : after];
+    const from = after > 0 ? stops[after - 1] : to;
+    const span = to.position - from.position;
+    const mix = span > 0 ? (t - from.position) / span : 0;
+    const [a, b] = [channels(from.color), channels(to.color)];
+    const hex = '#' + a.map((c, j) => Math.round(c + (b[j] - c) * mix).toString(16).padStart(2, '0')).join('');
+    swatch += chalk.bgHex(hex)(' ');
+  }
+  return swatch;
+}
+
+function displayGradients(gradients) {
+  if (!gradients || gradients.length === 0) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Gradients'));
+  const shown = gradients.slice(0, 8);
+  shown.forEach((gradient, index) => {
+    const isLast = index === shown.length - 1 && gradients.length <= 8;
+    const branch = isLast ? '└─' : '├─';
+    const type = gradient.repeating ? `repeating-${gradient.type}` : gradient.type;
+    const angle = gradient.angle !== null ? ` ${gradient.angle}°` : '';
+    const stops = gradient.stops.map((stop) => stop.color).join(' → ');
+    let swatch;
+    try {
+      swatch = gradientSwatch(gradient.stops);
+    } catch {
+      swatch = '';
+    }
+    console.log(
+      chalk.dim(`│  ${branch}`) + ' ' +
+      `${swatch} ${gradient.name} ${chalk.dim(`${type}${angle} · ${stops} · used ${gradient.count}×`)}`
+    );
+  });
+  if (gradients.length > 8) {
+    console.log(chalk.dim('│  └─') + ' ' + chalk.dim(`+${gradients.length - 8} more`));
+  }
+  console.log(chalk.dim('│'));
+}
+
+function displayMotion(motion) {
+  if (!motion) return;
+  const scale = motion.scale || [];
+  const curves = (motion.curves || []).slice(0, 5);
+  const keyframes = (motion.keyframes || []).filter((k) => k.usedBy > 0).slice(0, 5);
+  if (scale.length === 0 && curves.length === 0 && keyframes.length === 0) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Motion'));
+
+  const rows = [];
+  if (scale.length > 0) {
+    rows.push(`${chalk.dim('Durations')}  ${scale.map((step) => `${step.ms}ms`).join(' · ')}`);
+  }
+  curves.forEach((curve) => {
+    rows.push(`${curve.name.padEnd(14)} ${chalk.dim(curve.value)} ${chalk.dim(`(${curve.count}×)`)}`);
+  });
+  keyframes.forEach((k) => {
+    rows.push(`${chalk.dim('@keyframes')} ${k.name} ${chalk.dim(`${k.properties.join(', ')} (${k.usedBy}×)`)}`);
+  });
+
+  rows.forEach((row, index) => {
+    const branch = index === rows.length - 1 ? '└─' : '├─';
+    console.log(chalk.dim(`│  ${branch}`) + ' ' + row);
+  });
+  console.log(chalk.dim('│'));
+}
+
 function displayButtons(buttons) {
   if (!buttons || buttons.length === 0) return;
 
@@ -863,6 +1069,41 @@ function displayInputs(inputs) {
   console.log(chalk.dim('│'));
 }
 
+function displayContrast(contrast) {
+  if (!contrast || contrast.pairs.length === 0) return;
+
+  const { summary, pairs } = contrast;
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Contrast'));
+  const failing = summary.failAA > 0 ? chalk.hex('#FF5555')(`${summary.failAA} fail AA`) : chalk.hex('#50FA7B')('all pass AA');
+  console.log(
+    chalk.dim('│  ├─') + ' ' +
+    `${summary.pairs} pairs · ${failing} ${chalk.dim(`· ${summary.failAAA} fail AAA · ${summary.failAPCA} below APCA minimum`)}`
+  );
+
+  const shown = pairs.slice(0, 10);
+  shown.forEach((pair, index) => {
+    const isLast = index === shown.length - 1 && pairs.length <= 10;
+    const branch = isLast ? '└─' : '├─';
+    let mark;
+    if (pair.level === 'AAA') mark = chalk.hex('#50FA7B')('●');
+    else if (pair.level === 'AA') mark = chalk.hex('#FFB86C')('●');
+    else mark = chalk.hex('#FF5555')('✗');
+
+    const sample = chalk.hex(pair.foreground).bgHex(pair.background)(' Aa ');
+    const ratio = `${pair.ratio.toFixed(2)}:1`.padEnd(8);
+    const apca = `Lc ${Math.round(pair.apca)}`.padEnd(7);
+    const where = [pair.fontSize, pair.sources.join(', '), pair.sample && `"${pair.sample}"`].filter(Boolean).join(' · ');
+    console.log(
+      chalk.dim(`│  ${branch}`) + ' ' +
+      `${mark} ${sample} ${pair.foreground} on ${pair.background}  ${ratio} ${apca} ${pair.level.padEnd(4)} ${chalk.dim(where)}`
+    );
+  });
+  if (pairs.length > 10) {
+    console.log(chalk.dim('│  └─') + ' ' + chalk.dim(`+${pairs.length - 10} more`));
+  }
+  console.log(chalk.dim('│'));
+}
+
 function displayBreakpoints(breakpoints) {
   if (!breakpoints || breakpoints.length === 0) return;
 
@@ -882,6 +1123,39 @@ function displayBreakpoints(breakpoints) {
   console.log(chalk.dim('│'));
 }
 
+function displayResponsive(responsive) {
+  if (!responsive) return;
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Responsive') + chalk.dim(` (${responsive.viewports.join(', ')}px)`));
+
+  const rows = [];
+  for (const [group, names] of Object.entries(responsive.tokens || {})) {
+    for (const [name, properties] of Object.entries(names)) {
+      for (const [property, { values, clamp }] of Object.entries(properties)) {
+        const cssProperty = property.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+        // Spacing steps have a single "value" property
+        const suffix = property === 'value' ? '' : ` ${cssProperty}`;
+        rows.push({ label: `${group === 'typography' || group === 'spacing' ? '' : `${group} `}${name}${suffix}`, values, clamp });
+      }
+    }
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.dim('│  └─') + ' ' + chalk.dim('No tokens change across these widths'));
+  }
+  rows.forEach(({ label, values, clamp }, index) => {
+    const branch = index === rows.length - 1 ? '└─' : '├─';
+    const unit = label.endsWith('columns') ? '' : 'px';
+    const steps = Object.values(values).map((v) => `${Math.round(v * 100) / 100}${unit}`).join(' → ');
+    console.log(
+      chalk.dim(`│  ${branch}`) + ' ' +
+      `${label.padEnd(28)} ${steps}${clamp ? chalk.dim(`  ${clamp}`) : ''}`
+    );
+  });
+
+  console.log(chalk.dim('│'));
+}
+
 function displayLinks(links) {
   if (!links || links.length === 0) return;
 
@@ -987,3 +1261,319 @@ function displayFrameworks(frameworks) {
   });
   console.log(chalk.dim('│'));
 }
+
+// Titles and distance units for displayLint
+const LINT_CATEGORIES = {
+  colors: { title: 'Colors', unit: (d) => `ΔE ${d}` },
+  fonts: { title: 'Fonts', unit: () => 'similar name' },
+  spacing: { title: 'Spacing', unit: (d) => `${d}px off` },
+  radius: { title: 'Radius', unit: (d) => `${d}px off` },
+  shadows: { title: 'Shadows', unit: (d) => `${d}px off` },
+};
+
+function displayLint(lint) {
+  if (!lint) return;
+
+  const scoreColor = (score) => score >= 90 ? '#50FA7B' : score >= 70 ? '#FFB86C' : '#FF5555';
+  const score = lint.score === null ? chalk.dim('n/a') : chalk.hex(scoreColor(lint.score))(`${lint.score}% compliant`);
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Token Lint') + ' ' + score + ' ' + chalk.dim(`against ${lint.reference}`));
+
+  const categories = Object.entries(lint.categories);
+  categories.forEach(([name, { score: categoryScore, values }], index) => {
+    const isLast = index === categories.length - 1;
+    const branch = isLast ? '└─' : '├─';
+    const indent = isLast ? '   ' : '│  ';
+    const { title, unit } = LINT_CATEGORIES[name];
+    const counts = ['match', 'near', 'off'].map((status) => `${values.filter((v) => v.status === status).length} ${status}`);
+    const percent = categoryScore === null ? 'n/a' : `${categoryScore}%`;
+    console.log(chalk.dim(`│  ${branch}`) + ' ' + `${title} ${chalk.hex(scoreColor(categoryScore ?? 0))(percent)} ${chalk.dim(counts.join(' · '))}`);
+
+    // Off-system values first, then near misses
+    const flagged = [...values.filter((v) => v.status === 'off'), ...values.filter((v) => v.status === 'near')];
+    const shown = flagged.slice(0, 6);
+    shown.forEach((value, i) => {
+      const sub = i === shown.length - 1 && flagged.length <= 6 ? '└─' : '├─';
+      const mark = value.status === 'off' ? chalk.hex('#FF5555')('✗') : chalk.hex('#FFB86C')('~');
+      const swatch = name === 'colors' ? chalk.bgHex(value.value)('  ') + ' ' : '';
+      const target = value.nearest
+        ? `${value.status === 'off' ? 'nearest ' : '→ '}${value.nearest.path} ${chalk.dim(`(${unit(value.distance)})`)}`
+        : chalk.dim('no comparable token');
+      const where = value.contexts.length > 0 ? chalk.dim(` · ${value.contexts.slice(0, 4).join(', ')}`) : '';
+      const label = name === 'shadows' && value.value.length > 40 ? value.value.slice(0, 40) + '…' : value.value;
+      console.log(chalk.dim(`│  ${indent}${sub}`) + ' ' + `${mark} ${swatch}${label} ${target}${where}`);
+    });
+    if (flagged.length > 6) {
+      console.log(chalk.dim(`│  ${indent}└─`) + ' ' + chalk.dim(`+${flagged.length - 6} more`));
+    }
+  });
+  console.log(chalk.dim('│'));
+}
+
+function displayCrawl(crawl) {
+  if (!crawl || !crawl.tokens) return;
+
+  const analyzed = crawl.pages.filter(p => p.status === 'success').length;
+  const failed = crawl.pages.filter(p => p.status === 'failed').length;
+  const failedText = failed > 0 ? chalk.hex('#FFB86C')(` · ${failed} failed`) : '';
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Site-wide (crawl)'));
+  console.log(chalk.dim('│  ├─') + ' ' + chalk.dim(`${analyzed} pages analyzed · depth ${crawl.maxDepth}`) + failedText);
+
+  const coverage = (entry) => chalk.dim(`${entry.pageCount}/${analyzed} pages · ${entry.count}×`);
+  const groups = [];
+
+  const colors = crawl.tokens.colors.filter(c => c.confidence === 'high' || c.confidence === 'medium').slice(0, 8);
+  if (colors.length > 0) {
+    groups.push({
+      label: 'Colors',
+      lines: colors.map(c => {
+        const formats = normalizeColorFormat(c.color);
+        try {
+          return `${chalk.bgHex(formats.hex)('  ')} ${formats.hex.padEnd(9)} ${coverage(c)}`;
+        } catch {
+          return `${formats.hex.padEnd(9)} ${coverage(c)}`;
+        }
+      })
+    });
+  }
+
+  const typography = crawl.tokens.typography.slice(0, 6);
+  if (typography.length > 0) {
+    groups.push({
+      label: 'Typography',
+      lines: typography.map(t => `${t.family} ${t.size} w${t.weight} ${chalk.hex('#8BE9FD')(t.context)} ${coverage(t)}`)
+    });
+  }
+
+  const components = [
+    ['buttons', crawl.tokens.buttons],
+    ['inputs', crawl.tokens.inputs],
+    ['badges', crawl.tokens.badges],
+    ['links', crawl.tokens.links],
+  ].filter(([, items]) => items.length > 0);
+  if (components.length > 0) {
+    groups.push({
+      label: 'Components',
+      lines: components.map(([name, items]) => {
+        const everywhere = items.filter(i => i.pageCount === analyzed).length;
+        return `${name}: ${items.length} variants ${chalk.dim(`(${everywhere} on every page)`)}`;
+      })
+    });
+  }
+
+  groups.forEach((group, groupIndex) => {
+    const isLastGroup = groupIndex === groups.length - 1;
+    const groupBranch = isLastGroup ? '└─' : '├─';
+    const groupIndent = isLastGroup ? '   ' : '│  ';
+
+    console.log(chalk.dim(`│  ${groupBranch}`) + ' ' + chalk.hex('#8BE9FD')(group.label));
+    group.lines.forEach((line, lineIndex) => {
+      const branch = lineIndex === group.lines.length - 1 ? '└─' : '├─';
+      console.log(chalk.dim(`│  ${groupIndent}${branch}`) + ' ' + line);
+    });
+  });
+
+  console.log(chalk.dim('│'));
+}
+
+/**
+ * Batch summary - one line per site with status and timing
+ * @param {Object} index - Run index from runBatch()
+ * @param {string} indexPath - Where the combined index was saved
+ */
+// Section titles for displayDiff, in display order
+const DIFF_SECTIONS = {
+  colors: 'Colors',
+  colorRoles: 'Color Roles',
+  typography: 'Typography',
+  fonts: 'Fonts',
+  spacing: 'Spacing',
+  borderRadius: 'Border Radius',
+  borderWidths: 'Border Widths',
+  shadows: 'Shadows',
+  gradients: 'Gradients',
+  breakpoints: 'Breakpoints',
+};
+
+/**
+ * One diff entry: a swatch for colors, the changed properties for type styles
+ */
+function formatDiffEntry(section, entry, kind) {
+  const swatch = (value) => {
+    const hex = normalizeColorFormat(value)?.hex;
+    return hex ? chalk.bgHex(hex)('  ') + ' ' : '';
+  };
+  const isColor = section === 'colors' || section === 'colorRoles';
+
+  if (kind !== 'changed') {
+    const value = typeof entry.value === 'string' ? entry.value : `${entry.value.size} ${entry.value.weight}`;
+    const label = entry.name === value ? value : `${entry.name} ${chalk.dim(value)}`;
+    return (isColor ? swatch(entry.value) : '') + label;
+  }
+  if (isColor) {
+    const name = section === 'colorRoles' ? `${entry.name} ` : '';
+    return `${name}${swatch(entry.before)}${entry.before} → ${swatch(entry.after)}${entry.after} ${chalk.dim(`ΔE ${entry.deltaE}`)}`;
+  }
+  const fields = entry.fields.map((field) => `${field} ${entry.before[field]} → ${entry.after[field]}`);
+  return `${entry.name} ${chalk.dim(fields.join(', '))}`;
+}
+
+/**
+ * Terminal view of a diffResults report
+ */
+export function displayDiff(report) {
+  console.log('\n' + chalk.bold.cyan('🎨 Token Diff'));
+  console.log(chalk.dim('│'));
+  console.log(chalk.dim('├─') + ' ' + chalk.hex('#FF5555')('−') + ' ' + chalk.blue(report.before.url || 'before') + ' ' + chalk.dim(report.before.extractedAt || ''));
+  console.log(chalk.dim('├─') + ' ' + chalk.hex('#50FA7B')('+') + ' ' + chalk.blue(report.after.url || 'after') + ' ' + chalk.dim(report.after.extractedAt || ''));
+  console.log(chalk.dim('│'));
+
+  const marks = {
+    added: chalk.hex('#50FA7B')('+'),
+    removed: chalk.hex('#FF5555')('−'),
+    changed: chalk.hex('#FFB86C')('~'),
+  };
+  for (const [section, title] of Object.entries(DIFF_SECTIONS)) {
+    const changes = report.sections[section];
+    if (!changes) continue;
+    const entries = ['changed', 'added', 'removed'].flatMap((kind) => changes[kind].map((entry) => ({ kind, entry })));
+    if (entries.length === 0) continue;
+
+    console.log(chalk.dim('├─') + ' ' + chalk.bold(title));
+    entries.forEach(({ kind, entry }, index) => {
+      const branch = index === entries.length - 1 ? '└─' : '├─';
+      console.log(chalk.dim(`│  ${branch}`) + ' ' + `${marks[kind]} ${formatDiffEntry(section, entry, kind)}`);
+    });
+    console.log(chalk.dim('│'));
+  }
+
+  const { added, removed, changed } = report.summary;
+  if (added + removed + changed === 0) {
+    console.log(chalk.dim('└─') + ' ' + chalk.hex('#50FA7B')('✓ No token changes'));
+  } else {
+    console.log(
+      chalk.dim('└─') + ' ' +
+      chalk.hex('#FFB86C')(`${changed} changed`) + chalk.dim(' · ') +
+      chalk.hex('#50FA7B')(`${added} added`) + chalk.dim(' · ') +
+      chalk.hex('#FF5555')(`${removed} removed`)
+    );
+  }
+  console.log('');
+}
+
+/**
+ * One tracked token's change, e.g. "+ Inter, − Sohne"
+ */
+function formatDrift(name, drift) {
+  if (name === 'color') {
+    const swatch = (color) => {
+      const hex = color && normalizeColorFormat(color)?.hex;
+      return hex ? chalk.bgHex(hex)('  ') + ' ' : '';
+    };
+    return `${swatch(drift.before)}${drift.before || 'none'} → ${swatch(drift.after)}${drift.after || 'none'} ${chalk.dim(`ΔE ${drift.value}`)}`;
+  }
+  const added = drift.added.map((v) => chalk.hex('#50FA7B')(`+ ${v}`));
+  const removed = drift.removed.map((v) => chalk.hex('#FF5555')(`− ${v}`));
+  return [...added, ...removed].join(', ');
+}
+
+/**
+ * Terminal view of an analyzeHistory report
+ */
+export function displayHistory(history) {
+  const { domain, snapshots, skipped = [], timeline, drift } = history;
+  const date = (iso) => new Date(iso).toISOString().replace('T', ' ').slice(0, 16);
+
+  console.log('\n' + chalk.bold.cyan('🎨 Brand History'));
+  console.log(chalk.dim('│'));
+  const range = snapshots.length > 0
+    ? ` · ${date(snapshots[0].extractedAt)} → ${date(snapshots[snapshots.length - 1].extractedAt)}`
+    : '';
+  console.log(chalk.dim('├─') + ' ' + `${chalk.blue(domain)} ${chalk.dim(`${snapshots.length} snapshots${range}`)}`);
+  console.log(chalk.dim('│'));
+
+  if (skipped.length > 0) {
+    console.log(chalk.dim('├─') + ' ' + chalk.hex('#FFB86C')(`⚠ ${skipped.length} saved results skipped`));
+    skipped.forEach((entry, index) => {
+      const branch = index === skipped.length - 1 ? '└─' : '├─';
+      console.log(chalk.dim(`│  ${branch}`) + ' ' + `${entry.file} ${chalk.dim(entry.reason)}`);
+    });
+    console.log(chalk.dim('│'));
+  }
+
+  if (timeline.length > 0) {
+    console.log(chalk.dim('├─') + ' ' + chalk.bold('Timeline'));
+    timeline.forEach((entry, index) => {
+      const isLast = index === timeline.length - 1;
+      const branch = isLast ? '└─' : '├─';
+      const indent = isLast ? '   ' : '│  ';
+      console.log(chalk.dim(`│  ${branch}`) + ' ' + `${date(entry.extractedAt)} ${chalk.dim(entry.file)}`);
+      const changes = Object.entries(entry.changes);
+      changes.forEach(([name, change], i) => {
+        const sub = i === changes.length - 1 ? '└─' : '├─';
+        const label = name === 'color' ? 'primary' : name;
+        console.log(chalk.dim(`│  ${indent}${sub}`) + ' ' + `${label} ${formatDrift(name, change)}`);
+      });
+    });
+    console.log(chalk.dim('│'));
+  } else if (snapshots.length > 1) {
+    console.log(chalk.dim('├─') + ' ' + chalk.dim('No changes to primary color, fonts, radius or buttons'));
+    console.log(chalk.dim('│'));
+  }
+
+  if (!drift) {
+    console.log(chalk.dim('└─') + ' ' + chalk.hex('#FFB86C')('Need at least two snapshots to measure drift'));
+    console.log('');
+    return;
+  }
+
+  console.log(chalk.dim('├─') + ' ' + chalk.bold('Drift') + ' ' + chalk.dim(`${drift.from} → ${drift.to}`));
+  drift.checks.forEach((check, index) => {
+    const branch = index === drift.checks.length - 1 ? '└─' : '├─';
+    const mark = check.exceeded ? chalk.hex('#FF5555')('✗') : chalk.hex('#50FA7B')('✓');
+    const limit = chalk.dim(`${check.value} ${check.exceeded ? '>' : '≤'} ${check.threshold}`);
+    const detail = check.skipped
+      ? ' ' + chalk.dim('skipped, one run has no primary color')
+      : check.value > 0 ? ' ' + formatDrift(check.name, check) : '';
+    console.log(chalk.dim(`│  ${branch}`) + ' ' + `${mark} ${check.name.padEnd(8)} ${limit}${detail}`);
+  });
+  console.log(chalk.dim('│'));
+
+  if (drift.exceeded) {
+    console.log(chalk.dim('└─') + ' ' + chalk.hex('#FF5555')('✗ Drift over threshold'));
+  } else {
+    console.log(chalk.dim('└─') + ' ' + chalk.hex('#50FA7B')('✓ Drift within thresholds'));
+  }
+  console.log('');
+}
+
+export function displayBatchSummary(index, indexPath) {
+  console.log('\n' + chalk.bold.cyan('🎨 Batch Extraction'));
+  console.log(chalk.dim('│'));
+
+  index.sites.forEach((site, i) => {
+    const isLast = i === index.sites.length - 1;
+    const branch = isLast ? '└─' : '├─';
+    const indent = isLast ? '   ' : '│  ';
+    const status = site.status === 'success' ? chalk.hex('#50FA7B')('✓') : chalk.hex('#FF5555')('✗');
+    const duration = chalk.dim(`${(site.durationMs / 1000).toFixed(1)}s`);
+
+    console.log(chalk.dim(branch) + ' ' + `${status} ${chalk.blue(terminalLink(site.url))} ${duration}`);
+    if (site.outputs) {
+      console.log(chalk.dim(`${indent}└─`) + ' ' + chalk.dim(site.outputs.join(', ')));
+    } else if (site.error) {
+      console.log(chalk.dim(`${indent}└─`) + ' ' + chalk.hex('#FFB86C')(site.error.split('\n')[0]));
+    }
+  });
+
+  console.log('');
+  console.log(
+    chalk.hex('#50FA7B')(`✓ ${index.succeeded} succeeded`) + chalk.dim(' · ') +
+    (index.failed > 0 ? chalk.hex('#FF5555')(`✗ ${index.failed} failed`) : chalk.dim('0 failed')) + chalk.dim(' · ') +
+    chalk.dim(`${(index.durationMs / 1000).toFixed(1)}s total`)
+  );
+  if (indexPath) {
+    console.log(chalk.dim(`💾 Index saved to: ${chalk.hex('#8BE9FD')(indexPath)}`));
+  }
+  console.log('');
+}
@@ -0,0 +1,367 @@
+/**
+ * Output Format Exporters
+ *
+ * Registry of the formats the CLI can write (--format) plus the Tailwind CSS
+ * exporter. Tailwind output uses the same token selection as the W3C exporter
+ * (no low-confidence entries, same per-category limits), so both formats
+ * describe the same design system.
+ */
+
+import { toW3CFormat } from './w3c-exporter.js';
+import { toCssVariables, toScss } from './css-exporter.js';
+import { toTokensStudio, toFigmaVariables } from './figma-exporter.js';
+import { toHtmlReport } from './html-report.js';
+
+// Tailwind's own screen names, in ascending order
+const SCREEN_NAMES = ['sm', 'md', 'lg', 'xl', '2xl'];
+
+/**
+ * Convert a token label to a Tailwind-friendly key
+ */
+function toKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Return a key that is not used yet in target (heading, heading-2, heading-3, ...)
+ */
+function uniqueKey(target, key) {
+  if (!(key in target)) return key;
+  let n = 2;
+  while (`${key}-${n}` in target) n++;
+  return `${key}-${n}`;
+}
+
+/**
+ * Prefer hex colors; keep rgba() when the color has transparency
+ */
+function toColorValue(entry) {
+  const color = typeof entry === 'string' ? entry : entry.color;
+  const rgba = color && color.match(/rgba\(\s*\d+,\s*\d+,\s*\d+,\s*([\d.]+)\s*\)/);
+  if (rgba && parseFloat(rgba[1]) < 1) return color;
+
+  if (entry.normalized) return entry.normalized;
+  const rgb = color && color.match(/rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)/);
+  if (rgb) {
+    return '#' + rgb.slice(1, 4).map((c) => parseInt(c).toString(16).padStart(2, '0')).join('');
+  }
+  return color;
+}
+
+/**
+ * "56px (3.50rem)" -> "3.5rem", "14px" -> "0.875rem"
+ */
+function toRem(size) {
+  const rem = String(size).match(/([\d.]+)rem/);
+  if (rem) return `${parseFloat(rem[1])}rem`;
+  const px = parseFloat(size);
+  return Number.isFinite(px) ? `${Math.round((px / 16) * 1000) / 1000}rem` : String(size);
+}
+
+/**
+ * Tailwind spacing keys follow the 4px scale (4px -> 1, 6px -> 1.5);
+ * off-scale values keep their pixel size as key (13px -> 13px)
+ */
+function toSpacingKey(px) {
+  const step = parseFloat(px) / 4;
+  return Number.isInteger(step * 2) ? String(step) : `${parseFloat(px)}px`;
+}
+
+/**
+ * Serialize a theme object as a JavaScript literal - unquoted keys where
+ * possible, arrays (font stacks, [size, options] pairs) kept on one line
+ */
+function toJsLiteral(value, indent = '') {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => toJsLiteral(item, null)).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => {
+      const name = /^[a-z_$][\w$]*$/i.test(key) ? key : `'${key}'`;
+      return `${name}: ${toJsLiteral(item, indent === null ? null : indent + '  ')}`;
+    });
+    if (indent === null) return `{ ${entries.join(', ')} }`;
+    return `{\n${entries.map((e) => `${indent}  ${e},`).join('\n')}\n${indent}}`;
+  }
+  return `'${String(value).replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Build the theme.extend object for a Tailwind config
+ *
+ * @param {Object} extractionResult - Raw dembrandt extraction result
+ * @returns {Object} { colors, fontFamily, fontSize, spacing, borderRadius, boxShadow, backgroundImage, maxWidth, gridTemplateColumns, screens }
+ */
+export function toTailwindTheme(extractionResult) {
+  const { colors, typography, spacing, borderRadius, shadows, gradients, layout, breakpoints } = extractionResult;
+  const theme = {};
+
+  // Colors - semantic names first, then the ranked palette
+  if (colors?.palette?.length) {
+    const themeColors = {};
+    for (const [key, value] of Object.entries({ ...colors.semantic, ...colors.roles })) {
+      const color = value && (typeof value === 'string' ? value : value.color);
+      if (color) themeColors[toKey(key)] = toColorValue(color);
+    }
+
+    const palette = {};
+    colors.palette
+      .filter((entry) => entry.confidence !== 'low')
+      .slice(0, 30)
+      .forEach((entry, index) => {
+        palette[index + 1] = toColorValue(entry);
+      });
+    if (Object.keys(palette).length > 0) themeColors.palette = palette;
+
+    if (Object.keys(themeColors).length > 0) theme.colors = themeColors;
+  }
+
+  // Font families and text styles
+  if (typography?.styles?.length) {
+    const fontFamily = {};
+    for (const style of typography.styles) {
+      if (!style.family) continue;
+      const key = toKey(style.family);
+      if (!key || fontFamily[key]) continue;
+      const fallbacks = style.fallbacks ? style.fallbacks.split(',').map((f) => f.trim()) : [];
+      fontFamily[key] = [style.family, ...fallbacks];
+    }
+    if (Object.keys(fontFamily).length > 0) theme.fontFamily = fontFamily;
+
+    // Named type ramp (h1, body, caption, ...) when available, else the top styles
+    const fontSize = {};
+    const styles = typography.ramp?.length > 0
+      ? typography.ramp.map((entry) => ({ ...entry, context: entry.name, spacing: entry.letterSpacing }))
+      : typography.styles.slice(0, 10);
+    styles.forEach((style, index) => {
+      if (!style.size) return;
+      const key = uniqueKey(fontSize, style.context ? toKey(style.context) : `text-${index + 1}`);
+      const options = {};
+      if (style.lineHeight) options.lineHeight = String(parseFloat(style.lineHeight));
+      if (style.spacing) options.letterSpacing = style.spacing;
+      if (style.weight) options.fontWeight = String(style.weight);
+      fontSize[key] = Object.keys(options).length > 0 ? [toRem(style.size), options] : toRem(style.size);
+    });
+    if (Object.keys(fontSize).length > 0) theme.fontSize = fontSize;
+  }
+
+  // Spacing on Tailwind's numeric scale
+  if (spacing?.commonValues?.length) {
+    const themeSpacing = {};
+    spacing.commonValues.slice(0, 12).forEach((value) => {
+      const px = value.px || value;
+      themeSpacing[toSpacingKey(px)] = px;
+    });
+    theme.spacing = themeSpacing;
+  }
+
+  // Border radius and shadows, numbered by usage like the W3C export
+  if (borderRadius?.values?.length) {
+    const radius = {};
+    borderRadius.values
+      .filter((entry) => entry.confidence !== 'low')
+      .slice(0, 6)
+      .forEach((entry, index) => {
+        radius[index + 1] = entry.value;
+      });
+    if (Object.keys(radius).length > 0) theme.borderRadius = radius;
+  }
+
+  if (shadows?.length) {
+    const boxShadow = {};
+    shadows
+      .filter((entry) => entry.confidence !== 'low')
+      .slice(0, 6)
+      .forEach((entry, index) => {
+        boxShadow[index + 1] = entry.shadow;
+      });
+    if (Object.keys(boxShadow).length > 0) theme.boxShadow = boxShadow;
+  }
+
+  // Gradients as bg-gradient-1, bg-gradient-2, ... (v4 has no theme namespace for them)
+  if (gradients?.length) {
+    const backgroundImage = {};
+    for (const gradient of gradients) backgroundImage[gradient.name] = gradient.css;
+    theme.backgroundImage = backgroundImage;
+  }
+
+  // Layout - content widths (max-w-content), gutter and page margin (gap-gutter, px-page-margin)
+  if (layout) {
+    const maxWidth = {};
+    (layout.containers || []).slice(0, 4).forEach((entry, index) => {
+      maxWidth[index === 0 ? 'content' : `content-${index + 1}`] = entry.maxWidth;
+    });
+    if (Object.keys(maxWidth).length > 0) theme.maxWidth = maxWidth;
+
+    if (layout.gutter || layout.pageMargin) theme.spacing = theme.spacing || {};
+    if (layout.gutter) theme.spacing.gutter = layout.gutter;
+    if (layout.pageMargin) theme.spacing['page-margin'] = layout.pageMargin;
+
+    if (layout.columns) {
+      theme.gridTemplateColumns = { layout: `repeat(${layout.columns}, minmax(0, 1fr))` };
+    }
+  }
+
+  // Breakpoints as min-width screens, smallest first
+  if (breakpoints?.length) {
+    const screens = {};
+    [...breakpoints]
+      .sort((a, b) => parseFloat(a.px) - parseFloat(b.px))
+      .forEach((bp, index) => {
+        screens[SCREEN_NAMES[index] || `bp-${index + 1}`] = bp.px;
+      });
+    theme.screens = screens;
+  }
+
+  return theme;
+}
+
+/**
+ * Render a tailwind.config.js with the extracted tokens under theme.extend
+ */
+export function toTailwindConfig(extractionResult) {
+  const extend = toJsLiteral(toTailwindTheme(extractionResult), '    ');
+
+  return [
+    `// Design tokens extracted from ${extractionResult.url} by dembrandt`,
+    `/** @type {import('tailwindcss').Config} */`,
+    `module.exports = {`,
+    `  theme: {`,
+    `    extend: ${extend},`,
+    `  },`,
+    `};`,
+    ``,
+  ].join('\n');
+}
+
+/**
+ * Render a Tailwind v4 stylesheet with the tokens as an @theme block
+ * Namespaces follow the v4 theme variables (--color-*, --font-*, --text-*, ...).
+ */
+export function toTailwindV4Theme(extractionResult) {
+  const theme = toTailwindTheme(extractionResult);
+  const lines = [];
+  const add = (name, value) => lines.push(`  --${name}: ${value};`);
+
+  for (const [key, value] of Object.entries(theme.colors || {})) {
+    if (typeof value === 'object') {
+      for (const [step, color] of Object.entries(value)) add(`color-${key}-${step}`, color);
+    } else {
+      add(`color-${key}`, value);
+    }
+  }
+
+  for (const [key, stack] of Object.entries(theme.fontFamily || {})) {
+    add(`font-${key}`, stack.map((f) => (/\s/.test(f) ? `"${f}"` : f)).join(', '));
+  }
+
+  for (const [key, value] of Object.entries(theme.fontSize || {})) {
+    const [size, options = {}] = Array.isArray(value) ? value : [value];
+    add(`text-${key}`, size);
+    if (options.lineHeight) add(`text-${key}--line-height`, options.lineHeight);
+    if (options.letterSpacing) add(`text-${key}--letter-spacing`, options.letterSpacing);
+    if (options.fontWeight) add(`text-${key}--font-weight`, options.fontWeight);
+  }
+
+  for (const [key, value] of Object.entries(theme.spacing || {})) {
+    add(`spacing-${key.replace('.', '_')}`, value);
+  }
+  for (const [key, value] of Object.entries(theme.borderRadius || {})) add(`radius-${key}`, value);
+  for (const [key, value] of Object.entries(theme.boxShadow || {})) add(`shadow-${key}`, value);
+  for (const [key, value] of Object.entries(theme.maxWidth || {})) add(`container-${key}`, value);
+  for (const [key, value] of Object.entries(theme.screens || {})) add(`breakpoint-${key}`, value);
+
+  return [
+    `/* Design tokens extracted from ${extractionResult.url} by dembrandt */`,
+    `@import "tailwindcss";`,
+    ``,
+    `@theme {`,
+    ...lines,
+    `}`,
+    ``,
+  ].join('\n');
+}
+
+/**
+ * Output formats for --format
+ * render() returns the file content, suffix is appended to the output timestamp
+ */
+export const FORMATS = {
+  json: {
+    description: 'Raw extraction result',
+    suffix: '.json',
+    render: (result) => JSON.stringify(result, null, 2),
+  },
+  dtcg: {
+    description: 'W3C Design Tokens (DTCG)',
+    suffix: '.tokens.json',
+    render: (result) => JSON.stringify(toW3CFormat(result), null, 2),
+  },
+  tailwind: {
+    description: 'tailwind.config.js theme.extend block',
+    suffix: '.tailwind.config.js',
+    render: toTailwindConfig,
+  },
+  'tailwind-v4': {
+    description: 'Tailwind v4 @theme stylesheet',
+    suffix: '.tailwind.css',
+    render: toTailwindV4Theme,
+  },
+  css: {
+    description: 'CSS custom properties on :root',
+    suffix: '.css',
+    render: toCssVariables,
+  },
+  scss: {
+    description: 'SCSS partial with variables and maps',
+    suffix: '.scss',
+    render: toScss,
+  },
+  'tokens-studio': {
+    description: 'Tokens Studio for Figma JSON',
+    suffix: '.tokens-studio.json',
+    render: (result) => JSON.stringify(toTokensStudio(result), null, 2),
+  },
+  figma: {
+    description: 'Figma Variables REST API payload',
+    suffix: '.figma-variables.json',
+    render: (result) => JSON.stringify(toFigmaVariables(result), null, 2),
+  },
+  html: {
+    description: 'Standalone HTML brand report',
+    suffix: '.html',
+    render: toHtmlReport,
+  },
+};
+
+/**
+ * Parse a comma-separated --format value
+ * @returns {string[]} Format names
+ * @throws {Error} For unknown format names
+ */
+export function parseFormats(value) {
+  const names = String(value)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !FORMATS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown format "${unknown.join('", "')}" (available: ${Object.keys(FORMATS).join(', ')})`
+    );
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Render an extraction result in the given format
+ * @returns {{ content: string, suffix: string }}
+ */
+export function renderFormat(format, extractionResult) {
+  const { render, suffix } = FORMATS[format];
+  return { content: render(extractionResult), suffix };
+}
@@ -5,20 +5,40 @@
  * Handles bot detection, SPA hydration, and comprehensive design token extraction.
  */
 
-import chalk from "chalk";
+import { inferColorRoles } from "./color-roles.js";
+import { buildThemes } from "./themes.js";
+import { compareViewports, viewportsFromBreakpoints } from "./responsive.js";
+import { analyzeMotion } from "./motion.js";
+import { analyzeGradients, addGradientColors } from "./gradients.js";
+import { analyzeTypography } from "./type-scale.js";
+import { downloadAssets } from "./assets.js";
+import { captureScreenshots } from "./screenshots.js";
+import { rankLogos } from "./logos.js";
+import { colorsFromPaints, colorsFromScreenshot, markLogoColors } from "./logo-colors.js";
+import { analyzeContrast } from "./contrast.js";
+import { lintTokens } from "./token-lint.js";
+
+// Attributes the extractors set on the elements they read (see markedSelectors)
+const MARKER_ATTRIBUTES = [
+  "data-dembrandt-logo",
+  "data-dembrandt-button",
+  "data-dembrandt-input",
+  "data-dembrandt-link",
+  "data-dembrandt-badge",
+];
 
 /**
  * Main extraction function - orchestrates the entire brand analysis process
  *
  * @param {string} url - Target URL to analyze
- * @param {Object} spinner - Ora spinner instance for progress updates
+ * @param {Object} progress - Progress reporter (see lib/progress.js)
  * @param {Object} browser - Pre-configured browser instance (required)
  * @param {Object} options - Configuration options (navigationTimeout, etc.)
  * @returns {Object} Complete brand extraction data
  */
 export async function extractBranding(
   url,
-  spinner,
+  progress,
   browser,
   options = {}
 ) {
@@ -28,49 +48,8 @@ export async function extractBranding(
   // Track timeouts for final report
   const timeouts = [];
 
-  spinner.text = "Creating browser context with stealth mode...";
-  const contextOptions = {
-    viewport: { width: 1920, height: 1080 },
-    userAgent:
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-    locale: "en-US",
-  };
-
-  // Only add clipboard permissions for Chromium (Firefox doesn't support them)
-  if (browser.browserType().name() === 'chromium') {
-    contextOptions.permissions = ["clipboard-read", "clipboard-write"];
-  }
-
-  const context = await browser.newContext(contextOptions);
-
-  // Full stealth — kills 99% of Cloudflare bot detection
-  spinner.text = "Injecting anti-detection scripts...";
-
-  await context.addInitScript(() => {
-    // Spoof hardware capabilities to match a real high-end Mac
-    // Bots often report low values or inconsistent data
-    Object.defineProperty(navigator, "hardwareConcurrency", { get: () => 8 }); // 8 CPU cores
-    Object.defineProperty(navigator, "deviceMemory", { get: () => 8 }); // 8GB RAM
-    Object.defineProperty(navigator, "platform", { get: () => "MacIntel" }); // macOS platform
-    Object.defineProperty(navigator, "maxTouchPoints", { get: () => 0 }); // Desktop (no touch)
-
-    // Add Chrome runtime objects that real Chrome has but headless browsers lack
-    // Bot detectors check for window.chrome existence
-    window.chrome = {
-      runtime: {},
-      loadTimes: () => { },
-      csi: () => { },
-      app: {},
-    };
-
-    // Remove Playwright-specific properties that expose automation
-    // navigator.webdriver is set to true in automated browsers
-    delete navigator.__proto__.webdriver;
-    // Playwright injects these variables - remove them to hide automation traces
-    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Array;
-    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Promise;
-    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
-  });
+  progress.start("Creating browser context with stealth mode...");
+  const context = await createStealthContext(browser);
 
   const page = await context.newPage();
 
@@ -80,7 +59,7 @@ export async function extractBranding(
 
     while (attempts < maxAttempts) {
       attempts++;
-      spinner.text = `Navigating to ${url} (attempt ${attempts}/${maxAttempts})...`;
+      progress.start(`Navigating to ${url} (attempt ${attempts}/${maxAttempts})...`);
       try {
         const initialUrl = url;
         await page.goto(url, {
@@ -91,29 +70,22 @@ export async function extractBranding(
 
         // Check for redirects or domain changes
         if (initialUrl !== finalUrl) {
-          spinner.stop();
           const initialDomain = new URL(initialUrl).hostname;
           const finalDomain = new URL(finalUrl).hostname;
 
           if (initialDomain !== finalDomain) {
-            console.log(
-              chalk.hex('#FFB86C')(`  ⚠ Page redirected to different domain:`)
-            );
-            console.log(chalk.dim(`    From: ${initialUrl}`));
-            console.log(chalk.dim(`    To:   ${finalUrl}`));
+            progress.warn(`Page redirected to different domain:`);
           } else {
-            console.log(chalk.hex('#8BE9FD')(`  ℹ Page redirected within same domain:`));
-            console.log(chalk.dim(`    From: ${initialUrl}`));
-            console.log(chalk.dim(`    To:   ${finalUrl}`));
+            progress.info(`Page redirected within same domain:`);
           }
-          spinner.start();
+          progress.detail(`From: ${initialUrl}`);
+          progress.detail(`To:   ${finalUrl}`);
         }
 
-        spinner.stop();
-        console.log(chalk.hex('#50FA7B')(`  ✓ Page loaded`));
+        progress.success(`Page loaded`);
 
         // Wait until some content is rendered in the <body>
-        spinner.start("Waiting for body content to render...");
+        progress.start("Waiting for body content to render...");
         try {
           await page.waitForFunction(
             () => document.body && document.body.children.length > 0,
@@ -121,145 +93,126 @@ export async function extractBranding(
               timeout: (options.navigationTimeout || 20000) * timeoutMultiplier,
             }
           );
-          spinner.stop();
-          console.log(chalk.hex('#50FA7B')(`  ✓ Body content rendered`));
+          progress.success(`Body content rendered`);
         } catch {
-          spinner.stop();
-          console.log(chalk.hex('#FFB86C')(`  ⚠ Body content timeout (continuing)`));
+          progress.warn(`Body content timeout (continuing)`);
           timeouts.push('Body content rendering');
         }
 
         // Give SPAs time to hydrate (Linear, Figma, Notion, etc.)
-        spinner.start("Waiting for SPA hydration...");
+        progress.start("Waiting for SPA hydration...");
         const hydrationTime = 8000 * timeoutMultiplier;
         await page.waitForTimeout(hydrationTime);
-        spinner.stop();
-        console.log(chalk.hex('#50FA7B')(`  ✓ Hydration complete (${hydrationTime / 1000}s)`));
+        progress.success(`Hydration complete (${hydrationTime / 1000}s)`);
 
         // Optional: wait for main content
-        spinner.start("Waiting for main content...");
+        progress.start("Waiting for main content...");
         try {
           await page.waitForSelector("main, header, [data-hero], section", {
             timeout: 10000 * timeoutMultiplier,
           });
-          spinner.stop();
-          console.log(chalk.hex('#50FA7B')(`  ✓ Main content detected`));
+          progress.success(`Main content detected`);
         } catch {
-          spinner.stop();
-          console.log(chalk.hex('#FFB86C')(`  ⚠ Main content selector timeout (continuing)`));
+          progress.warn(`Main content selector timeout (continuing)`);
           timeouts.push('Main content selector');
         }
 
         // Simulate human behavior
-        spinner.start("Simulating human interaction...");
+        progress.start("Simulating human interaction...");
         await page.mouse.move(
           300 + Math.random() * 400,
           200 + Math.random() * 300
         );
         await page.evaluate(() => window.scrollTo(0, 400));
-        spinner.stop();
-        console.log(chalk.hex('#50FA7B')(`  ✓ Human behavior simulated`));
+        progress.success(`Human behavior simulated`);
 
         // Final hydration wait
-        spinner.start("Final content stabilization...");
+        progress.start("Final content stabilization...");
         const stabilizationTime = 4000 * timeoutMultiplier;
         await page.waitForTimeout(stabilizationTime);
-        spinner.stop();
-        console.log(chalk.hex('#50FA7B')(`  ✓ Page fully loaded and stable`));
+        progress.success(`Page fully loaded and stable`);
 
-        spinner.start("Validating page content...");
+        progress.start("Validating page content...");
         const contentLength = await page.evaluate(
           () => document.body.textContent.length
         );
-        spinner.stop();
-
         if (contentLength > 100) {
-          console.log(chalk.hex('#50FA7B')(`  ✓ Content validated: ${contentLength} chars`));
+          progress.success(`Content validated: ${contentLength} chars`);
           break;
         }
 
-        spinner.warn(
+        progress.warn(
           `Page seems empty (attempt ${attempts}/${maxAttempts}), retrying...`
         );
-        console.log(
-          chalk.hex('#FFB86C')(
-            `  ⚠ Content length: ${contentLength} chars (expected >100)`
-          )
-        );
+        progress.detail(`Content length: ${contentLength} chars (expected >100)`);
         await page.waitForTimeout(3000 * timeoutMultiplier);
       } catch (err) {
         if (attempts >= maxAttempts) {
-          console.error(`  ↳ Failed after ${maxAttempts} attempts`);
-          console.error(`  ↳ Last error: ${err.message}`);
-          console.error(`  ↳ URL: ${url}`);
+          progress.detail(`↳ Failed after ${maxAttempts} attempts`);
+          progress.detail(`↳ Last error: ${err.message}`);
+          progress.detail(`↳ URL: ${url}`);
           throw err;
         }
-        spinner.warn(
+        progress.warn(
           `Navigation failed (attempt ${attempts}/${maxAttempts}), retrying...`
         );
-        console.log(`  ↳ Error: ${err.message}`);
+        progress.detail(`↳ Error: ${err.message}`);
         await page.waitForTimeout(3000 * timeoutMultiplier);
       }
     }
 
-    spinner.stop();
-    console.log(chalk.hex('#8BE9FD')("\n  Extracting design tokens...\n"));
+    progress.section("Extracting design tokens...");
 
-    spinner.start("Analyzing design system (14 parallel tasks)...");
-    const [
-      { logo, favicons },
+    progress.start("Analyzing design system (17 tasks)...");
+    const {
+      logo,
+      logos,
+      favicons,
       colors,
       typography,
       spacing,
       borderRadius,
       borders,
       shadows,
-      buttons,
-      inputs,
-      links,
-      badges,
+      gradients,
+      motion,
+      layout,
+      components: { buttons, inputs, links, badges },
       breakpoints,
       iconSystem,
       frameworks,
-    ] = await Promise.all([
-      extractLogo(page, url),
-      extractColors(page),
-      extractTypography(page),
-      extractSpacing(page),
-      extractBorderRadius(page),
-      extractBorders(page),
-      extractShadows(page),
-      extractButtonStyles(page),
-      extractInputStyles(page),
-      extractLinkStyles(page),
-      extractBadgeStyles(page),
-      extractBreakpoints(page),
-      detectIconSystem(page),
-      detectFrameworks(page),
-    ]);
-
-    spinner.stop();
-    console.log(colors.palette.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Colors: ${colors.palette.length} found`) : chalk.hex('#FFB86C')(`  ⚠ Colors: 0 found`));
-    console.log(typography.styles.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Typography: ${typography.styles.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Typography: 0 styles`));
-    console.log(spacing.commonValues.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Spacing: ${spacing.commonValues.length} values`) : chalk.hex('#FFB86C')(`  ⚠ Spacing: 0 values`));
-    console.log(borderRadius.values.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Border radius: ${borderRadius.values.length} values`) : chalk.hex('#FFB86C')(`  ⚠ Border radius: 0 values`));
+    } = await extractPageTokens(page, url);
+
+    // ✓ when something was found, ⚠ when an extractor came back empty
+    const report = (found, message) =>
+      found > 0 ? progress.success(message) : progress.warn(message);
+
+    report(colors.palette.length, `Colors: ${colors.palette.length} found`);
+    report(typography.styles.length, `Typography: ${typography.styles.length} styles`);
+    report(spacing.commonValues.length, `Spacing: ${spacing.commonValues.length} values`);
+    report(borderRadius.values.length, `Border radius: ${borderRadius.values.length} values`);
 
     const bordersTotal = (borders?.widths?.length || 0) + (borders?.styles?.length || 0) + (borders?.colors?.length || 0);
-    console.log(bordersTotal > 0 ?
-      chalk.hex('#50FA7B')(`  ✓ Borders: ${borders?.widths?.length || 0} widths, ${borders?.styles?.length || 0} styles, ${borders?.colors?.length || 0} colors`) :
-      chalk.hex('#FFB86C')(`  ⚠ Borders: 0 found`));
-
-    console.log(shadows.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Shadows: ${shadows.length} found`) : chalk.hex('#FFB86C')(`  ⚠ Shadows: 0 found`));
-    console.log(buttons.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Buttons: ${buttons.length} variants`) : chalk.hex('#FFB86C')(`  ⚠ Buttons: 0 variants`));
-    console.log(inputs.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Inputs: ${inputs.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Inputs: 0 styles`));
-    console.log(links.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Links: ${links.length} styles`) : chalk.hex('#FFB86C')(`  ⚠ Links: 0 styles`));
-    console.log(breakpoints.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Breakpoints: ${breakpoints.length} detected`) : chalk.hex('#FFB86C')(`  ⚠ Breakpoints: 0 detected`));
-    console.log(iconSystem.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Icon systems: ${iconSystem.length} detected`) : chalk.hex('#FFB86C')(`  ⚠ Icon systems: 0 detected`));
-    console.log(frameworks.length > 0 ? chalk.hex('#50FA7B')(`  ✓ Frameworks: ${frameworks.length} detected`) : chalk.hex('#FFB86C')(`  ⚠ Frameworks: 0 detected`));
-    console.log();
+    report(bordersTotal, bordersTotal > 0
+      ? `Borders: ${borders?.widths?.length || 0} widths, ${borders?.styles?.length || 0} styles, ${borders?.colors?.length || 0} colors`
+      : `Borders: 0 found`);
+
+    report(shadows.length, `Shadows: ${shadows.length} found`);
+    report(gradients.length, `Gradients: ${gradients.length} found`);
+    report(layout.containers.length + layout.grids.length,
+      `Layout: ${layout.containers.length} container widths, ${layout.grids.length} grids`);
+    report(motion.scale.length + motion.curves.length,
+      `Motion: ${motion.scale.length} durations, ${motion.curves.length} easings, ${motion.keyframes.length} keyframes`);
+    report(buttons.length, `Buttons: ${buttons.length} variants`);
+    const inputsTotal = Object.values(inputs).flat().length;
+    report(inputsTotal, `Inputs: ${inputsTotal} styles`);
+    report(links.length, `Links: ${links.length} styles`);
+    report(breakpoints.length, `Breakpoints: ${breakpoints.length} detected`);
+    report(iconSystem.length, `Icon systems: ${iconSystem.length} detected`);
+    report(frameworks.length, `Frameworks: ${frameworks.length} detected`);
 
     // Extract hover/focus state colors using actual interaction simulation
-    spinner.start("Extracting hover/focus state colors...");
+    progress.start("Extracting hover/focus state colors...");
     const hoverFocusColors = [];
 
     // Helper: Split multi-value color strings (e.g., "rgb(0,0,0) rgb(255,255,255) rgb(28,105,212)")
@@ -468,78 +421,99 @@ export async function extractBranding(
       }
     });
 
-    spinner.stop();
-    console.log(hoverFocusColors.length > 0 ?
-      chalk.hex('#50FA7B')(`  ✓ Hover/focus: ${hoverFocusColors.length} state colors found`) :
-      chalk.hex('#FFB86C')(`  ⚠ Hover/focus: 0 state colors found`));
+    report(hoverFocusColors.length, `Hover/focus: ${hoverFocusColors.length} state colors found`);
+
+    // Crop the component and logo elements before the theme and viewport passes change the page
+    let screenshots = null;
+    if (options.screenshots) {
+      progress.start("Capturing component screenshots...");
+      screenshots = await captureScreenshots(page, {
+        url: page.url(),
+        logo,
+        logos,
+        components: { buttons, inputs, links, badges },
+      });
+      report(screenshots.saved, `Screenshots: ${screenshots.saved} saved to ${screenshots.dir}`);
+      if (screenshots.failed.length > 0) {
+        progress.detail(`${screenshots.failed.length} elements could not be captured`);
+      }
+    }
 
-    // Extract additional colors from dark mode if requested
+    // Re-run every extractor under the dark color scheme if requested
+    let darkTheme = null;
     if (options.darkMode) {
-      spinner.start("Extracting dark mode colors...");
+      progress.start("Extracting dark theme...");
+      const lightElements = await sampleElementColors(page);
+
+      // Try multiple methods to enable dark mode, remembering what was there
+      const previousTheme = await page.evaluate(() => {
+        const root = document.documentElement;
+        const previous = {
+          rootTheme: root.getAttribute("data-theme"),
+          rootMode: root.getAttribute("data-mode"),
+          bodyTheme: document.body.getAttribute("data-theme"),
+          rootClasses: root.className,
+          bodyClasses: document.body.className,
+        };
 
-      // Try multiple methods to enable dark mode
-      await page.evaluate(() => {
         // Method 1: Add data-theme attribute
-        document.documentElement.setAttribute("data-theme", "dark");
-        document.documentElement.setAttribute("data-mode", "dark");
+        root.setAttribute("data-theme", "dark");
+        root.setAttribute("data-mode", "dark");
         document.body.setAttribute("data-theme", "dark");
 
         // Method 2: Add dark mode classes
-        document.documentElement.classList.add(
-          "dark",
-          "dark-mode",
-          "theme-dark"
-        );
+        root.classList.add("dark", "dark-mode", "theme-dark");
         document.body.classList.add("dark", "dark-mode", "theme-dark");
 
-        // Method 3: Trigger prefers-color-scheme media query
-        // (Playwright can emulate this, but let's also try programmatically)
+        return previous;
       });
 
-      // Emulate prefers-color-scheme: dark
+      // Method 3: Emulate prefers-color-scheme: dark
       await page.emulateMedia({ colorScheme: "dark" });
 
       // Wait for transitions to complete
       await page.waitForTimeout(500 * timeoutMultiplier);
 
-      const darkModeColors = await extractColors(page);
-      const darkModeButtons = await extractButtonStyles(page);
-      const darkModeLinks = await extractLinkStyles(page);
-
-      // Merge dark mode colors into main palette
-      const mergedPalette = [...colors.palette];
-      darkModeColors.palette.forEach((darkColor) => {
-        // Check if this color is already in the palette using perceptual similarity
-        const isDuplicate = mergedPalette.some((existingColor) => {
-          // Simple check - could use delta-E here too
-          return existingColor.normalized === darkColor.normalized;
-        });
-
-        if (!isDuplicate) {
-          mergedPalette.push({ ...darkColor, source: "dark-mode" });
-        }
-      });
+      const dark = await extractPageTokens(page, url);
+      const darkElements = await sampleElementColors(page);
+      darkTheme = {
+        tokens: {
+          colors: dark.colors,
+          borders: dark.borders,
+          shadows: dark.shadows,
+          components: dark.components,
+        },
+        elements: { light: lightElements, dark: darkElements },
+      };
 
-      colors.palette = mergedPalette;
+      // Back to light so later passes (mobile) see the same page as the first
+      await page.emulateMedia({ colorScheme: "light" });
+      await page.evaluate((previous) => {
+        const root = document.documentElement;
+        const restore = (el, name, value) =>
+          value === null ? el.removeAttribute(name) : el.setAttribute(name, value);
+        restore(root, "data-theme", previous.rootTheme);
+        restore(root, "data-mode", previous.rootMode);
+        restore(document.body, "data-theme", previous.bodyTheme);
+        root.className = previous.rootClasses;
+        document.body.className = previous.bodyClasses;
+      }, previousTheme);
+      await page.waitForTimeout(500 * timeoutMultiplier);
 
-      // Merge semantic colors
-      Object.assign(colors.semantic, darkModeColors.semantic);
+      progress.success(`Dark theme: ${dark.colors.palette.length} colors`);
+    }
 
-      // Merge dark mode buttons and links
-      buttons.push(
-        ...darkModeButtons.map((btn) => ({ ...btn, source: "dark-mode" }))
-      );
-      links.push(
-        ...darkModeLinks.map((link) => ({ ...link, source: "dark-mode" }))
-      );
+    // Text/background pairs for the contrast audit, read from the same layout
+    // as the other tokens - font sizes decide the AA/AAA thresholds
+    const contrastPairs = await extractContrastPairs(page);
 
-      spinner.stop();
-      console.log(chalk.hex('#50FA7B')(`  ✓ Dark mode: +${darkModeColors.palette.length} colors`));
-    }
+    // The mobile and viewport passes resize the page; everything after them
+    // runs at this size again
+    const initialViewport = page.viewportSize();
 
     // Extract additional colors from mobile viewport if requested
     if (options.mobile) {
-      spinner.start("Extracting mobile viewport colors...");
+      progress.start("Extracting mobile viewport colors...");
 
       // Change viewport to mobile (iPhone 12/13/14/15 - most common)
       await page.setViewportSize({ width: 390, height: 844 });
@@ -563,27 +537,104 @@ export async function extractBranding(
 
       colors.palette = mergedPalette;
 
-      spinner.stop();
-      console.log(chalk.hex('#50FA7B')(`  ✓ Mobile: +${mobileColors.palette.length} colors`));
+      await page.setViewportSize(initialViewport);
+      await page.waitForTimeout(500 * timeoutMultiplier);
+
+      progress.success(`Mobile: +${mobileColors.palette.length} colors`);
+    }
+
+    // Re-run typography, spacing, button and layout extraction per viewport width
+    let responsive;
+    if (options.viewports) {
+      const widths = options.viewports === "breakpoints"
+        ? viewportsFromBreakpoints(breakpoints)
+        : options.viewports;
+      const snapshots = [];
+
+      for (const width of widths) {
+        progress.start(`Extracting viewport ${width}px...`);
+        await page.setViewportSize({ width, height: width < 768 ? 844 : 1080 });
+        await page.waitForTimeout(500 * timeoutMultiplier);
+
+        const [viewportTypography, viewportSpacing, viewportButtons, viewportLayout, elements] = await Promise.all([
+          extractTypography(page),
+          extractSpacing(page),
+          extractButtonStyles(page),
+          extractLayout(page),
+          sampleResponsiveElements(page),
+        ]);
+        await attachSelectors(page, "data-dembrandt-button", viewportButtons);
+        await clearMarkers(page);
+        elements.layout = {
+          ...elements.layout,
+          container: { width: viewportLayout.contentWidth },
+          grid: { columns: viewportLayout.columns, gutter: parseFloat(viewportLayout.gutter) },
+          page: { margin: parseFloat(viewportLayout.pageMargin) },
+        };
+        snapshots.push({
+          width,
+          typography: viewportTypography.styles,
+          spacing: viewportSpacing.commonValues,
+          buttons: viewportButtons,
+          layout: viewportLayout,
+          elements,
+        });
+      }
+
+      await page.setViewportSize(initialViewport);
+      await page.waitForTimeout(500 * timeoutMultiplier);
+      responsive = { viewports: widths, tokens: compareViewports(snapshots), snapshots };
+
+      const changed = Object.values(responsive.tokens)
+        .reduce((sum, group) => sum + Object.keys(group).length, 0);
+      report(widths.length, `Viewports: ${widths.join(", ")}px, ${changed} responsive tokens`);
+    }
+
+    // Assign color roles from where each color is used
+    colors.roles = inferColorRoles({
+      colors,
+      components: { buttons, links, badges },
+      borders,
+    });
+    const roleCount = Object.keys(colors.roles).length;
+    report(roleCount, `Color roles: ${roleCount} assigned`);
+
+    // Check text contrast against what is actually behind it
+    const contrast = analyzeContrast({
+      pairs: contrastPairs,
+      components: { buttons, inputs, links, badges },
+      surface: colors.roles.surface?.color,
+    });
+    const { pairs: checked, failAA } = contrast.summary;
+    report(checked, `Contrast: ${checked} pairs, ${failAA} failing WCAG AA`);
+
+    let themes;
+    if (darkTheme) {
+      const { tokens: dark, elements } = darkTheme;
+      dark.colors.roles = inferColorRoles(dark);
+      themes = buildThemes(
+        { colors, borders, shadows, components: { buttons, inputs, links, badges } },
+        dark,
+        elements
+      );
+      const pairCount = Object.keys(themes.pairs.roles).length + themes.pairs.colors.length;
+      report(pairCount, `Themes: ${pairCount} light/dark color pairs`);
     }
 
-    spinner.stop();
-    console.log();
-    console.log(chalk.hex('#50FA7B').bold("✔ Brand extraction complete!"));
+    progress.complete("Brand extraction complete!");
 
     // Report timeouts and suggest --slow if needed
     if (timeouts.length > 0 && !options.slow) {
-      console.log();
-      console.log(chalk.hex('#FFB86C')(`⚠ ${timeouts.length} timeout(s) occurred during extraction:`));
-      timeouts.forEach(t => console.log(chalk.dim(`  • ${t}`)));
-      console.log();
-      console.log(chalk.hex('#8BE9FD')(`💡 Tip: Try running with ${chalk.bold('--slow')} flag for more reliable results on slow-loading sites`));
+      progress.warn(`${timeouts.length} timeout(s) occurred during extraction:`);
+      timeouts.forEach(t => progress.detail(`• ${t}`));
+      progress.info(`Tip: Try running with --slow flag for more reliable results on slow-loading sites`);
     }
 
     const result = {
       url: page.url(),
       extractedAt: new Date().toISOString(),
       logo,
+      logos,
       favicons,
       colors,
       typography,
@@ -591,11 +642,18 @@ export async function extractBranding(
       borderRadius,
       borders,
       shadows,
+      gradients,
+      motion,
+      layout,
       components: { buttons, inputs, links, badges },
+      contrast,
       breakpoints,
       iconSystem,
       frameworks,
     };
+    if (themes) result.themes = themes;
+    if (responsive) result.responsive = responsive;
+    if (screenshots) result.screenshots = screenshots;
 
     // Detect canvas-only / WebGL sites (Tesla, Apple Vision Pro, etc.)
     const isCanvasOnly = await page.evaluate(() => {
@@ -615,107 +673,596 @@ export async function extractBranding(
       result.isCanvasOnly = true;
     }
 
+    // Map every value to the nearest token of the reference file
+    if (options.against) {
+      result.lint = lintTokens(result, options.against);
+      const offSystem = result.lint.offSystem.length;
+      const message = `Token lint: ${result.lint.score ?? "-"}% compliant, ${offSystem} off-system values`;
+      if (offSystem === 0) progress.success(message);
+      else progress.warn(message);
+    }
+
+    // Save logo, favicons, social images and font files with a manifest
+    if (options.assets) {
+      progress.start("Downloading brand assets...");
+      result.assets = await downloadAssets(context.request, result);
+      const saved = result.assets.files.filter((f) => f.file).length;
+      progress.success(`Assets: ${saved}/${result.assets.files.length} files saved to ${result.assets.dir}`);
+    }
+
     return result;
   } catch (error) {
-    spinner.fail("Extraction failed");
-    console.error(`  ↳ Error during extraction: ${error.message}`);
-    console.error(`  ↳ URL: ${url}`);
-    console.error(`  ↳ Stage: ${spinner.text || "unknown"}`);
+    progress.fail("Extraction failed");
+    progress.detail(`↳ Error during extraction: ${error.message}`);
+    progress.detail(`↳ URL: ${url}`);
+    progress.detail(`↳ Stage: ${progress.text || "unknown"}`);
     throw error;
+  } finally {
+    // Close the context so a shared browser (batch mode) doesn't accumulate pages
+    await context.close().catch(() => { });
   }
 }
 
 /**
- * Extract logo information from the page
- * Looks for common logo patterns: img with logo in class/id, SVG logos, etc.
- * Includes safe zone estimation and favicon detection
+ * Create a browser context with a desktop fingerprint and anti-detection scripts
+ *
+ * @param {Object} browser - Launched browser instance
+ * @returns {Object} Playwright browser context
  */
-async function extractLogo(page, url) {
-  return await page.evaluate((baseUrl) => {
-    // Find logo - check img, svg, and svg elements containing <use> with logo references
-    const candidates = Array.from(document.querySelectorAll("img, svg")).filter(
-      (el) => {
-        const className =
-          typeof el.className === "string"
-            ? el.className
-            : el.className.baseVal || "";
-        const attrs = (
-          className +
-          " " +
-          (el.id || "") +
-          " " +
-          (el.getAttribute("alt") || "")
-        ).toLowerCase();
-
-        // Check element's own attributes
-        if (attrs.includes("logo") || attrs.includes("brand")) {
-          return true;
+export async function createStealthContext(browser) {
+  const contextOptions = {
+    viewport: { width: 1920, height: 1080 },
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+    locale: "en-US",
+  };
+
+  // Only add clipboard permissions for Chromium (Firefox doesn't support them)
+  if (browser.browserType().name() === 'chromium') {
+    contextOptions.permissions = ["clipboard-read", "clipboard-write"];
+  }
+
+  const context = await browser.newContext(contextOptions);
+
+  // Full stealth — kills 99% of Cloudflare bot detection
+  await context.addInitScript(() => {
+    // Spoof hardware capabilities to match a real high-end Mac
+    // Bots often report low values or inconsistent data
+    Object.defineProperty(navigator, "hardwareConcurrency", { get: () => 8 }); // 8 CPU cores
+    Object.defineProperty(navigator, "deviceMemory", { get: () => 8 }); // 8GB RAM
+    Object.defineProperty(navigator, "platform", { get: () => "MacIntel" }); // macOS platform
+    Object.defineProperty(navigator, "maxTouchPoints", { get: () => 0 }); // Desktop (no touch)
+
+    // Add Chrome runtime objects that real Chrome has but headless browsers lack
+    // Bot detectors check for window.chrome existence
+    window.chrome = {
+      runtime: {},
+      loadTimes: () => { },
+      csi: () => { },
+      app: {},
+    };
+
+    // Remove Playwright-specific properties that expose automation
+    // navigator.webdriver is set to true in automated browsers
+    delete navigator.__proto__.webdriver;
+    // Playwright injects these variables - remove them to hide automation traces
+    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Array;
+    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Promise;
+    delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
+  });
+
+  return context;
+}
+
+/**
+ * Run every DOM extractor in parallel against an already-loaded page
+ *
+ * @param {Object} page - Playwright page with content rendered
+ * @param {string} url - URL used to resolve relative asset links
+ * @returns {Object} Raw tokens for this page, shaped like the extractBranding result
+ */
+export async function extractPageTokens(page, url) {
+  // Runs first, on its own: raster logos are screenshot, which can scroll the page
+  const { logo, logos, favicons } = await extractLogo(page, url);
+
+  const [
+    colors,
+    typography,
+    spacing,
+    borderRadius,
+    borders,
+    shadows,
+    gradients,
+    motion,
+    layout,
+    buttons,
+    inputs,
+    links,
+    badges,
+    breakpoints,
+    iconSystem,
+    frameworks,
+  ] = await Promise.all([
+    extractColors(page),
+    extractTypography(page),
+    extractSpacing(page),
+    extractBorderRadius(page),
+    extractBorders(page),
+    extractShadows(page),
+    extractGradients(page),
+    extractMotion(page),
+    extractLayout(page),
+    extractButtonStyles(page),
+    extractInputStyles(page),
+    extractLinkStyles(page),
+    extractBadgeStyles(page),
+    extractBreakpoints(page),
+    detectIconSystem(page),
+    detectFrameworks(page),
+  ]);
+
+  // Selector of the element each component variant was read from
+  await attachSelectors(page, "data-dembrandt-button", buttons);
+  await attachSelectors(page, "data-dembrandt-input", Object.values(inputs).flat());
+  await attachSelectors(page, "data-dembrandt-link", links);
+  await attachSelectors(page, "data-dembrandt-badge", Object.values(badges.byVariant).flat());
+  await clearMarkers(page);
+
+  // The logo is the most reliable brand color signal
+  if (logo?.colors?.length > 0) markLogoColors(colors.palette, logo.colors);
+  addGradientColors(colors.palette, gradients);
+
+  return {
+    logo,
+    logos,
+    favicons,
+    colors,
+    typography,
+    spacing,
+    borderRadius,
+    borders,
+    shadows,
+    gradients,
+    motion,
+    layout,
+    components: { buttons, inputs, links, badges },
+    breakpoints,
+    iconSystem,
+    frameworks,
+  };
+}
+
+/**
+ * Stable CSS selectors for the elements an extractor marked with attribute
+ * Prefers a stable id or test attribute, else the shortest unique path of
+ * tags and non-generated class names (css-1x2y3, Button_root__a8Xk2, ...)
+ * under the nearest stable id. All markers are removed afterwards.
+ *
+ * @param {Object} page - Playwright page
+ * @param {string} attribute - Marker attribute, its value the entry's marker
+ * @param {Array} markers - Markers to resolve
+ * @returns {Object} { [marker]: selector }
+ */
+async function markedSelectors(page, attribute, markers) {
+  return await page.evaluate(([attribute, markers]) => {
+    const GENERATED = /^(css|sc|jsx|svelte|emotion|styled)-|__[\w-]{5,}$|\d{3,}|[:[\]/@]/;
+    const TEST_ATTRIBUTES = ["data-testid", "data-test", "data-qa", "data-cta", "name", "aria-label"];
+
+    const isUnique = (selector) => {
+      try {
+        return document.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
+      }
+    };
+    const stableId = (el) => el.id && !GENERATED.test(el.id) && isUnique(`#${CSS.escape(el.id)}`);
+
+    function selectorFor(el) {
+      const tag = el.tagName.toLowerCase();
+      if (stableId(el)) return `#${CSS.escape(el.id)}`;
+      for (const name of TEST_ATTRIBUTES) {
+        const value = el.getAttribute(name);
+        if (!value || value.length > 60) continue;
+        const selector = `${tag}[${name}="${CSS.escape(value)}"]`;
+        if (isUnique(selector)) return selector;
+      }
+
+      const parts = [];
+      for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+        if (node !== el && stableId(node)) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        const className = typeof node.className === "string" ? node.className : node.className?.baseVal || "";
+        const classes = className.split(/\s+/).filter((c) => c && !GENERATED.test(c)).slice(0, 2);
+        let part = node.tagName.toLowerCase() + classes.map((c) => `.${CSS.escape(c)}`).join("");
+        const siblings = Array.from(node.parentElement?.children || []);
+        if (siblings.filter((sibling) => sibling.matches(part)).length > 1) {
+          const sameTag = siblings.filter((sibling) => sibling.tagName === node.tagName);
+          part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
         }
+        parts.unshift(part);
+        if (isUnique(parts.join(" > "))) return parts.join(" > ");
+      }
+      return parts.join(" > ");
+    }
 
-        // For SVG elements, also check <use> children for logo references
-        if (el.tagName === "svg" || el.tagName === "SVG") {
-          const useElements = el.querySelectorAll("use");
-          for (const use of useElements) {
-            const href =
-              use.getAttribute("href") || use.getAttribute("xlink:href") || "";
-            if (
-              href.toLowerCase().includes("logo") ||
-              href.toLowerCase().includes("brand")
-            ) {
-              return true;
-            }
-          }
+    const selectors = {};
+    for (const marker of markers) {
+      const el = document.querySelector(`[${attribute}="${marker}"]`);
+      if (el) selectors[marker] = selectorFor(el);
+    }
+    document.querySelectorAll(`[${attribute}]`).forEach((el) => el.removeAttribute(attribute));
+    return selectors;
+  }, [attribute, markers]);
+}
+
+/**
+ * Remove every extractor marker left in the page
+ * Run after each extraction pass, so the dark-mode and viewport re-runs (and
+ * the screenshots taken from their selectors) never resolve a marker that an
+ * earlier pass set on a different element.
+ */
+async function clearMarkers(page) {
+  await page.evaluate((attributes) => {
+    for (const attribute of attributes) {
+      document.querySelectorAll(`[${attribute}]`).forEach((el) => el.removeAttribute(attribute));
+    }
+  }, MARKER_ATTRIBUTES);
+}
+
+/**
+ * Replace each component entry's marker with its element's selector
+ */
+async function attachSelectors(page, attribute, entries) {
+  const selectors = await markedSelectors(page, attribute, entries.map((entry) => entry.marker));
+  for (const entry of entries) {
+    entry.selector = selectors[entry.marker] ?? null;
+    delete entry.marker;
+  }
+}
+
+/**
+ * Sample the colors of every element in document order
+ * Run once per color scheme; the same index refers to the same element in
+ * both passes, which is how light and dark colors get paired.
+ *
+ * @returns {Array} [{ tag, background, text, border }] as #rrggbb, null when transparent
+ */
+async function sampleElementColors(page) {
+  return await page.evaluate(() => {
+    function toHex(color) {
+      const match = color && color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/);
+      // Mostly transparent colors show whatever is behind them
+      if (!match || (match[4] !== undefined && parseFloat(match[4]) < 0.5)) return null;
+      return "#" + [match[1], match[2], match[3]]
+        .map((c) => parseInt(c).toString(16).padStart(2, "0"))
+        .join("");
+    }
+
+    return Array.from(document.querySelectorAll("body, body *"))
+      .slice(0, 5000)
+      .map((el) => {
+        const computed = getComputedStyle(el);
+        const hasBorder = parseFloat(computed.borderTopWidth) > 0 && computed.borderTopStyle !== "none";
+        return {
+          tag: el.tagName,
+          background: toHex(computed.backgroundColor),
+          text: el.textContent.trim() ? toHex(computed.color) : null,
+          border: hasBorder ? toHex(computed.borderTopColor) : null,
+        };
+      });
+  });
+}
+
+/**
+ * Sample the sizes that typically change between breakpoints
+ * Each name takes the most common value among visible matching elements, so
+ * the same name can be compared across viewport widths. All values are px.
+ *
+ * @returns {Object} { typography: { h1: { fontSize, lineHeight, letterSpacing } },
+ *   button: { default: {...} }, layout: { section: { paddingY, gap } } }
+ */
+async function sampleResponsiveElements(page) {
+  return await page.evaluate(() => {
+    function isVisible(el) {
+      const computed = getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      return computed.display !== "none" && computed.visibility !== "hidden" && rect.width > 0 && rect.height > 0;
+    }
+
+    // Most common value, ties broken by document order
+    function mode(values) {
+      const counts = new Map();
+      values.filter((v) => Number.isFinite(v)).forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+      let best;
+      let bestCount = 0;
+      counts.forEach((count, value) => {
+        if (count > bestCount) {
+          best = value;
+          bestCount = count;
         }
+      });
+      return best;
+    }
 
+    function sample(selector, read) {
+      const elements = Array.from(document.querySelectorAll(selector)).filter(isVisible).slice(0, 200);
+      if (elements.length === 0) return null;
+      const reads = elements.map((el) => read(getComputedStyle(el), el));
+      const sampled = {};
+      for (const key of Object.keys(reads[0])) {
+        const value = mode(reads.map((r) => r[key]));
+        if (value !== undefined) sampled[key] = value;
+      }
+      return Object.keys(sampled).length > 0 ? sampled : null;
+    }
+
+    const readText = (computed) => ({
+      fontSize: parseFloat(computed.fontSize),
+      lineHeight: computed.lineHeight === "normal" ? undefined : parseFloat(computed.lineHeight),
+      letterSpacing: computed.letterSpacing === "normal" ? 0 : parseFloat(computed.letterSpacing),
+    });
+
+    const typography = {};
+    for (const [name, selector] of Object.entries({
+      h1: "h1",
+      h2: "h2",
+      h3: "h3",
+      h4: "h4",
+      body: "p",
+      small: "small, figcaption, [class*='caption']",
+      nav: "nav a",
+    })) {
+      const sampled = sample(selector, readText);
+      if (sampled) typography[name] = sampled;
+    }
+
+    const button = {};
+    const primary = sample('button, [role="button"], a[class*="btn"], a[class*="button"]', (computed, el) => ({
+      fontSize: parseFloat(computed.fontSize),
+      height: el.getBoundingClientRect().height,
+      paddingX: parseFloat(computed.paddingLeft),
+      paddingY: parseFloat(computed.paddingTop),
+    }));
+    if (primary) button.default = primary;
+
+    // Container, grid and page margin come from extractLayout
+    const layout = {};
+    const section = sample("section, main > div, header, footer", (computed) => ({
+      paddingY: parseFloat(computed.paddingTop) || NaN,
+      gap: parseFloat(computed.rowGap) || NaN,
+    }));
+    if (section) layout.section = section;
+
+    return { typography, button, layout };
+  });
+}
+
+/**
+ * Extract logo information from the page
+ * Collects every logo candidate (img/svg with logo or brand in its class, id,
+ * alt or file name, and images inside links to the home page) with the
+ * position, size and context rankLogos scores them by. Also detects favicons.
+ */
+async function extractLogo(page, url) {
+  const { candidates, siteName, favicons } = await page.evaluate((baseUrl) => {
+    const LOGO_PATTERN = /logo|brand/;
+    const PARTNER_PATTERN = /partner|customer|client|sponsor|trusted|testimonial|integration|press|logo-?(wall|cloud|grid|strip)|logos/;
+    const DARK_PATTERN = /dark:(block|inline|flex|inline-block)|(^|[\s_-])(for|only|show|on|theme|mode)-dark\b|\bdark-(mode|theme|only)\b/;
+    const INVERSE_PATTERN = /(^|[\s_\-/.])(white|inverse|inverted|negative|reversed|knockout)([\s_\-/.]|$)|logo-?light/;
+
+    const attrText = (el) => {
+      const className = typeof el.className === "string" ? el.className : el.className?.baseVal || "";
+      const src = el.getAttribute?.("src") || "";
+      return [
+        className,
+        el.id || "",
+        el.getAttribute?.("alt") || "",
+        el.getAttribute?.("aria-label") || "",
+        el.getAttribute?.("title") || "",
+        src.split(/[?#]/)[0].split("/").pop(),
+      ].join(" ").toLowerCase();
+    };
+
+    // The element and its closest ancestors, where variants are usually marked
+    const contextText = (el, depth = 3) => {
+      const parts = [];
+      for (let node = el; node && node !== document.body && depth-- > 0; node = node.parentElement) {
+        parts.push(attrText(node));
+      }
+      return parts.join(" ");
+    };
+
+    const isHomeLink = (link) => {
+      if (!link?.href) return false;
+      try {
+        const target = new URL(link.href, baseUrl);
+        return target.origin === window.location.origin &&
+          /^\/([a-z]{2}([-_][a-z]{2})?\/?)?$/i.test(target.pathname);
+      } catch (e) {
         return false;
       }
+    };
+
+    const usesLogoSymbol = (svg) => Array.from(svg.querySelectorAll("use")).some((use) =>
+      LOGO_PATTERN.test((use.getAttribute("href") || use.getAttribute("xlink:href") || "").toLowerCase())
     );
 
-    let logoData = null;
-    if (candidates.length > 0) {
-      const logo = candidates[0];
-      const computed = window.getComputedStyle(logo);
-      const parent = logo.parentElement;
-      const parentComputed = parent ? window.getComputedStyle(parent) : null;
-
-      // Calculate safe zone from padding and margins
-      const safeZone = {
-        top:
-          parseFloat(computed.marginTop) +
-          (parentComputed ? parseFloat(parentComputed.paddingTop) : 0),
-        right:
-          parseFloat(computed.marginRight) +
-          (parentComputed ? parseFloat(parentComputed.paddingRight) : 0),
-        bottom:
-          parseFloat(computed.marginBottom) +
-          (parentComputed ? parseFloat(parentComputed.paddingBottom) : 0),
-        left:
-          parseFloat(computed.marginLeft) +
-          (parentComputed ? parseFloat(parentComputed.paddingLeft) : 0),
+    // Standalone SVG markup: same-document <use> targets (sprites, <symbol>s)
+    // are copied into <defs> so the file renders outside the page
+    function serializeSvg(svg) {
+      const clone = svg.cloneNode(true);
+      const defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
+      const copied = new Set();
+
+      const resolveUses = (root) => {
+        root.querySelectorAll("use").forEach((use) => {
+          const href = use.getAttribute("href") || use.getAttribute("xlink:href") || "";
+          const id = href.startsWith("#") ? href.slice(1) : null;
+          if (!id || copied.has(id) || clone.querySelector(`[id="${CSS.escape(id)}"]`)) return;
+          const target = document.getElementById(id);
+          if (!target) return;
+          copied.add(id);
+          const copy = target.cloneNode(true);
+          defs.appendChild(copy);
+          resolveUses(copy);
+        });
       };
+      resolveUses(clone);
 
-      if (logo.tagName === "IMG") {
-        logoData = {
-          source: "img",
-          url: new URL(logo.src, baseUrl).href,
-          width: logo.naturalWidth || logo.width,
-          height: logo.naturalHeight || logo.height,
-          alt: logo.alt,
-          safeZone: safeZone,
-        };
-      } else {
-        // SVG logo - try to get the parent link or closest anchor
-        const parentLink = logo.closest("a");
-        logoData = {
-          source: "svg",
-          url: parentLink ? parentLink.href : window.location.href,
-          width: logo.width?.baseVal?.value,
-          height: logo.height?.baseVal?.value,
-          safeZone: safeZone,
-        };
+      if (defs.childNodes.length > 0) clone.insertBefore(defs, clone.firstChild);
+      clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+      if (clone.outerHTML.includes("xlink:")) {
+        clone.setAttribute("xmlns:xlink", "http://www.w3.org/1999/xlink");
+      }
+      // Rendered size for SVGs sized only by CSS
+      if (!clone.getAttribute("width") && !clone.getAttribute("viewBox")) {
+        const rect = svg.getBoundingClientRect();
+        clone.setAttribute("viewBox", `0 0 ${rect.width} ${rect.height}`);
+      }
+      return new XMLSerializer().serializeToString(clone);
+    }
+
+    // Near-white fill - a logo drawn for dark backgrounds
+    const isWhiteFill = (svg) => {
+      const shape = svg.querySelector("path, rect, circle, polygon, text, use");
+      const fill = shape ? getComputedStyle(shape).fill : "";
+      const match = fill.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+      return !!match && [match[1], match[2], match[3]].every((c) => parseInt(c) >= 235);
+    };
+
+    // Fill and stroke colors weighted by painted area, including shapes
+    // reached through <use> and gradient stops
+    const collectPaints = (svg) => {
+      const SHAPES = "path, rect, circle, ellipse, polygon, polyline, line, text";
+      const paints = [];
+      const addPaint = (value, weight) => {
+        if (!value || value === "none" || weight <= 0) return;
+        const gradient = value.match(/url\(["']?#([^"')]+)["']?\)/);
+        if (gradient) {
+          const stops = document.getElementById(gradient[1])?.querySelectorAll("stop") || [];
+          stops.forEach((stop) => paints.push({ color: getComputedStyle(stop).stopColor, weight: weight / stops.length }));
+          return;
+        }
+        paints.push({ color: value, weight });
+      };
+      const addShape = (shape, inherited) => {
+        const style = getComputedStyle(shape);
+        if (style.display === "none" || style.opacity === "0") return;
+        let box = { width: 1, height: 1 };
+        try {
+          box = shape.getBBox();
+        } catch (e) {
+          // Not rendered
+        }
+        // Shapes in a <symbol> without their own fill take the <use> element's
+        const ownFill = shape.getAttribute("fill") || shape.style.fill;
+        const fill = inherited && (!ownFill || ownFill === "currentColor") ? inherited.fill : style.fill;
+        if (parseFloat(style.fillOpacity) > 0) addPaint(fill, box.width * box.height);
+        const strokeWidth = parseFloat(style.strokeWidth) || 0;
+        addPaint(style.stroke, strokeWidth * 2 * (box.width + box.height));
+      };
+
+      svg.querySelectorAll(SHAPES).forEach((shape) => addShape(shape, null));
+      svg.querySelectorAll("use").forEach((use) => {
+        const href = use.getAttribute("href") || use.getAttribute("xlink:href") || "";
+        const target = href.startsWith("#") ? document.getElementById(href.slice(1)) : null;
+        if (!target || svg.contains(target)) return;
+        const inherited = getComputedStyle(use);
+        const shapes = target.matches(SHAPES) ? [target] : target.querySelectorAll(SHAPES);
+        shapes.forEach((shape) => addShape(shape, inherited));
+      });
+      return paints;
+    };
+
+    // Calculate safe zone from padding and margins
+    const getSafeZone = (el) => {
+      const computed = getComputedStyle(el);
+      const parentComputed = el.parentElement ? getComputedStyle(el.parentElement) : null;
+      const side = (margin, padding) =>
+        parseFloat(computed[margin]) + (parentComputed ? parseFloat(parentComputed[padding]) : 0);
+      return {
+        top: side("marginTop", "paddingTop"),
+        right: side("marginRight", "paddingRight"),
+        bottom: side("marginBottom", "paddingBottom"),
+        left: side("marginLeft", "paddingLeft"),
+      };
+    };
+
+    const elements = Array.from(document.querySelectorAll("img, svg")).filter((el) => {
+      // Icons inside an <svg> logo are part of it
+      if (el.tagName.toLowerCase() === "svg" && el.parentElement?.closest("svg")) return false;
+      if (LOGO_PATTERN.test(attrText(el))) return true;
+      if (el.tagName.toLowerCase() === "svg" && usesLogoSymbol(el)) return true;
+      const link = el.closest("a");
+      return isHomeLink(link) && (LOGO_PATTERN.test(contextText(link, 2)) || !!el.closest("header, [role='banner'], nav"));
+    });
+
+    const seen = new Set();
+    const candidates = [];
+    for (const el of elements) {
+      if (candidates.length >= 20) break;
+      const isSvg = el.tagName.toLowerCase() === "svg";
+      const svg = isSvg ? serializeSvg(el) : null;
+      const src = isSvg ? null : new URL(el.currentSrc || el.src, baseUrl).href;
+      const key = svg || src;
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      const link = el.closest("a");
+      const context = contextText(el);
+      const partnerSection = el.closest("section, ul, div[class], div[id]");
+      const candidate = {
+        source: isSvg ? "svg" : "img",
+        url: src || (link ? link.href : window.location.href),
+        svg,
+        width: isSvg ? el.width?.baseVal?.value || Math.round(rect.width) : el.naturalWidth || el.width,
+        height: isSvg ? el.height?.baseVal?.value || Math.round(rect.height) : el.naturalHeight || el.height,
+        renderedWidth: Math.round(rect.width),
+        renderedHeight: Math.round(rect.height),
+        top: Math.round(rect.top + window.scrollY),
+        left: Math.round(rect.left + window.scrollX),
+        viewportWidth: window.innerWidth,
+        alt: (isSvg ? el.getAttribute("aria-label") || el.querySelector("title")?.textContent : el.alt) || link?.getAttribute("aria-label") || null,
+        hasLogoAttr: /logo/.test(attrText(el)) || (isSvg && usesLogoSymbol(el)),
+        hasBrandAttr: /brand/.test(attrText(el)),
+        inHeader: !!el.closest("header, [role='banner']"),
+        inNav: !!el.closest("nav"),
+        inFooter: !!el.closest("footer, [role='contentinfo']"),
+        linksHome: isHomeLink(link),
+        inPartnerList: !el.closest("header, [role='banner']") &&
+          !!partnerSection && PARTNER_PATTERN.test(contextText(partnerSection, 4)),
+        visible: rect.width > 0 && rect.height > 0 && style.visibility !== "hidden" && style.opacity !== "0",
+        darkMode: DARK_PATTERN.test(context) || !!el.closest("[data-theme='dark'], [data-mode='dark']"),
+        inverse: INVERSE_PATTERN.test(context) || (isSvg && isWhiteFill(el)),
+        safeZone: getSafeZone(el),
+        // SVG colors are read here; raster logos are screenshot by their marker
+        paints: isSvg ? collectPaints(el) : null,
+        marker: candidates.length,
+      };
+      el.setAttribute("data-dembrandt-logo", candidate.marker);
+      candidates.push(candidate);
+
+      // <picture> with a prefers-color-scheme: dark source
+      const darkSource = el.closest("picture")?.querySelector("source[media*='prefers-color-scheme'][media*='dark']");
+      const darkSrc = darkSource?.getAttribute("srcset")?.split(",")[0].trim().split(/\s+/)[0];
+      if (darkSrc) {
+        const darkUrl = new URL(darkSrc, baseUrl).href;
+        if (!seen.has(darkUrl)) {
+          seen.add(darkUrl);
+          candidates.push({ ...candidate, url: darkUrl, visible: false, darkMode: true, darkSource: true, marker: null });
+        }
       }
     }
 
+    const siteName =
+      document.querySelector('meta[property="og:site_name"]')?.getAttribute("content") ||
+      document.querySelector('meta[name="application-name"]')?.getAttribute("content") ||
+      window.location.hostname.replace(/^www\./, "").split(".")[0];
+
     // Extract all favicons
     const favicons = [];
 
@@ -781,11 +1328,48 @@ async function extractLogo(page, url) {
       });
     }
 
-    return {
-      logo: logoData,
-      favicons: favicons,
-    };
+    return { candidates, siteName, favicons };
   }, url);
+
+  // Rank candidates: primary, wordmark, symbol, footer, inverse, dark-mode
+  const logos = rankLogos(candidates, siteName);
+  const logo = logos[0] || null;
+  if (logo) {
+    const candidate = candidates.find((c) => (c.svg || c.url) === (logo.svg || logo.url));
+    logo.colors = await extractLogoColors(page, candidate);
+  }
+  const selectors = await markedSelectors(page, "data-dembrandt-logo", candidates.map((c) => c.marker).filter((m) => m !== null));
+  for (const entry of logos) {
+    const candidate = candidates.find((c) => (c.svg || c.url) === (entry.svg || entry.url));
+    entry.selector = selectors[candidate?.marker] ?? null;
+  }
+
+  return { logo, logos, favicons };
+}
+
+/**
+ * Dominant colors of a logo candidate
+ * SVG logos use the paints read by extractLogo. Raster logos are screenshot
+ * and their pixels sampled; the scroll position is restored afterwards.
+ *
+ * @returns {Array} [{ color, share }], empty when the logo can't be sampled
+ */
+async function extractLogoColors(page, candidate) {
+  if (!candidate) return [];
+  if (candidate.paints) return colorsFromPaints(candidate.paints);
+  if (candidate.marker === null) return [];
+
+  try {
+    const scroll = await page.evaluate(() => [window.scrollX, window.scrollY]);
+    const screenshot = await page
+      .locator(`[data-dembrandt-logo="${candidate.marker}"]`)
+      .screenshot({ timeout: 5000, animations: "disabled" });
+    await page.evaluate(([x, y]) => window.scrollTo(x, y), scroll);
+    return colorsFromScreenshot(screenshot);
+  } catch {
+    // Hidden, detached or an unsupported image
+    return [];
+  }
 }
 
 /**
@@ -825,6 +1409,7 @@ async function extractColors(page) {
     const colorMap = new Map(); // Normalized color -> original representations
     const semanticColors = {};
     const cssVariables = {};
+    const textUsage = new Map(); // Normalized color -> elements with their own text in it
 
     // Extract CSS variables - filter out framework presets
     const styles = getComputedStyle(document.documentElement);
@@ -1008,6 +1593,17 @@ async function extractColors(page) {
         }
       });
 
+      // Text color usage - only elements that render text themselves
+      const hasOwnText = Array.from(el.childNodes).some(
+        (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0
+      );
+      if (hasOwnText && textColor) {
+        const normalized = normalizeColor(textColor);
+        const usage = textUsage.get(normalized) || { color: textColor, normalized, count: 0 };
+        usage.count++;
+        textUsage.set(normalized, usage);
+      }
+
       // Semantic color detection
       if (context.includes("primary") || el.matches('[class*="primary"]')) {
         semanticColors.primary =
@@ -1208,16 +1804,28 @@ async function extractColors(page) {
       filteredCssVariables[vars[0]] = value;
     });
 
+    // Page background - first opaque background from body up to html
+    const pageBackground = [document.body, document.documentElement]
+      .map((el) => el && getComputedStyle(el).backgroundColor)
+      .find((bg) => bg && bg !== "rgba(0, 0, 0, 0)" && bg !== "transparent") || null;
+
     return {
       semantic: semanticColors,
       palette: perceptuallyDeduped,
       cssVariables: filteredCssVariables,
+      // Usage context for role inference (lib/color-roles.js)
+      usage: {
+        pageBackground,
+        text: Array.from(textUsage.values())
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 8),
+      },
     };
   });
 }
 
 async function extractTypography(page) {
-  return await page.evaluate(() => {
+  const typography = await page.evaluate(() => {
     const seen = new Map();
     const sources = {
       googleFonts: [],
@@ -1275,6 +1883,43 @@ async function extractTypography(page) {
     }
     sources.fontDisplay = fontDisplay;
 
+    // @font-face files, resolved against the stylesheet that declared them
+    const fontFaces = [];
+    const seenFontFiles = new Set();
+    for (const sheet of document.styleSheets) {
+      let rules;
+      try {
+        rules = sheet.cssRules || [];
+      } catch (e) {
+        continue; // Cross-origin stylesheets - covered by resource timing below
+      }
+      for (const rule of rules) {
+        if (!(rule instanceof CSSFontFaceRule)) continue;
+        const src = rule.style.getPropertyValue("src");
+        const base = sheet.href || document.baseURI;
+        for (const match of src.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)(?:\s*format\(\s*["']?([^"')]+)["']?\s*\))?/g)) {
+          if (match[1].startsWith("data:")) continue;
+          const url = new URL(match[1], base).href;
+          if (seenFontFiles.has(url)) continue;
+          seenFontFiles.add(url);
+          fontFaces.push({
+            family: rule.style.getPropertyValue("font-family").replace(/["']/g, "").trim(),
+            weight: rule.style.getPropertyValue("font-weight") || "400",
+            style: rule.style.getPropertyValue("font-style") || "normal",
+            url,
+            format: match[2] || null,
+          });
+        }
+      }
+    }
+    // Fonts loaded from stylesheets we can't read
+    performance.getEntriesByType("resource").forEach((entry) => {
+      if (!/\.(woff2?|ttf|otf|eot)(\?|#|$)/i.test(entry.name) || seenFontFiles.has(entry.name)) return;
+      seenFontFiles.add(entry.name);
+      fontFaces.push({ family: null, weight: null, style: null, url: entry.name, format: null });
+    });
+    sources.fontFaces = fontFaces;
+
     // ——— Sample elements ———
     const els = document.querySelectorAll(`
       h1,h2,h3,h4,h5,h6,p,span,a,button,[role="button"],.btn,.button,
@@ -1300,8 +1945,8 @@ async function extractTypography(page) {
       // Check for OpenType features
       const fontFeatures = s.fontFeatureSettings !== 'normal' ? s.fontFeatureSettings : null;
 
-      // Build context label
-      let context = "heading-1";
+      // Build context label - roles (h1, body, caption, ...) are assigned later by analyzeTypography
+      let context = "text";
       const className = typeof el.className === 'string' ? el.className : (el.className.baseVal || '');
       if (
         el.tagName === "BUTTON" ||
@@ -1311,14 +1956,20 @@ async function extractTypography(page) {
         context = "button";
       } else if (el.tagName === "A" && el.href) {
         context = "link";
+      } else if (el.tagName.match(/^H[1-6]$/)) {
+        context = `heading-${el.tagName[1]}`;
       } else if (size <= 14) {
         context = "caption";
-      } else if (el.tagName.match(/^H[1-6]$/)) {
-        context = "heading-1";
       }
 
       const key = `${family}|${size}|${weight}|${context}|${letterSpacing}|${textTransform}`;
-      if (seen.has(key)) return;
+      const tag = el.tagName.toLowerCase();
+      if (seen.has(key)) {
+        const existing = seen.get(key);
+        existing.count++;
+        existing.tags[tag] = (existing.tags[tag] || 0) + 1;
+        return;
+      }
 
       // Parse line-height to unitless if possible
       let lineHeightValue = null;
@@ -1344,6 +1995,8 @@ async function extractTypography(page) {
         transform: textTransform !== "none" ? textTransform : null,
         isFluid: isFluid || undefined,
         fontFeatures: fontFeatures || undefined,
+        count: 1,
+        tags: { [tag]: 1 },
       });
     });
 
@@ -1360,9 +2013,13 @@ async function extractTypography(page) {
         googleFonts: sources.googleFonts,
         adobeFonts: sources.adobeFonts,
         variableFonts: [...sources.variableFonts].length > 0,
+        fontFaces: sources.fontFaces,
       },
     };
   });
+
+  // Roles, modular scale and the named type ramp
+  return analyzeTypography(typography);
 }
 
 /**
@@ -1371,6 +2028,21 @@ async function extractTypography(page) {
 async function extractSpacing(page) {
   return await page.evaluate(() => {
     const spacings = new Map();
+    // Element context, as extractBorderRadius records it
+    const contextOf = (el) => {
+      const tag = el.tagName.toLowerCase();
+      const role = el.getAttribute('role') || el.getAttribute('aria-label');
+      const classes = Array.from(el.classList);
+
+      if (role) return role;
+      if (classes.some(c => c.includes('button') || c.includes('btn'))) return 'button';
+      if (classes.some(c => c.includes('card'))) return 'card';
+      if (classes.some(c => c.includes('input') || c.includes('field'))) return 'input';
+      if (classes.some(c => c.includes('badge') || c.includes('tag') || c.includes('chip'))) return 'badge';
+      if (classes.some(c => c.includes('modal') || c.includes('dialog'))) return 'modal';
+      if (classes.some(c => c.includes('image') || c.includes('img') || c.includes('avatar'))) return 'image';
+      return tag;
+    };
 
     document.querySelectorAll("*").forEach((el) => {
       const computed = getComputedStyle(el);
@@ -1378,19 +2050,25 @@ async function extractSpacing(page) {
         (prop) => {
           const value = parseFloat(computed[prop]);
           if (value > 0) {
-            spacings.set(value, (spacings.get(value) || 0) + 1);
+            if (!spacings.has(value)) {
+              spacings.set(value, { count: 0, elements: new Set() });
+            }
+            const data = spacings.get(value);
+            data.count++;
+            data.elements.add(`${contextOf(el)} ${prop.startsWith("margin") ? "margin" : "padding"}`);
           }
         }
       );
     });
 
     const values = Array.from(spacings.entries())
-      .sort((a, b) => b[1] - a[1]) // Sort by count first to get most common
+      .sort((a, b) => b[1].count - a[1].count) // Sort by count first to get most common
       .slice(0, 20)
-      .map(([px, count]) => ({
+      .map(([px, data]) => ({
         px: px + "px",
         rem: (px / 16).toFixed(2) + "rem",
-        count,
+        count: data.count,
+        elements: Array.from(data.elements).slice(0, 5), // Limit to 5 element types
         numericValue: px,
       }))
       .sort((a, b) => a.numericValue - b.numericValue); // Then sort by numeric value
@@ -1546,24 +2224,280 @@ async function extractBorders(page) {
 async function extractShadows(page) {
   return await page.evaluate(() => {
     const shadows = new Map();
+    // Element context, as extractBorderRadius records it
+    const contextOf = (el) => {
+      const tag = el.tagName.toLowerCase();
+      const role = el.getAttribute('role') || el.getAttribute('aria-label');
+      const classes = Array.from(el.classList);
+
+      if (role) return role;
+      if (classes.some(c => c.includes('button') || c.includes('btn'))) return 'button';
+      if (classes.some(c => c.includes('card'))) return 'card';
+      if (classes.some(c => c.includes('input') || c.includes('field'))) return 'input';
+      if (classes.some(c => c.includes('badge') || c.includes('tag') || c.includes('chip'))) return 'badge';
+      if (classes.some(c => c.includes('modal') || c.includes('dialog'))) return 'modal';
+      if (classes.some(c => c.includes('image') || c.includes('img') || c.includes('avatar'))) return 'image';
+      return tag;
+    };
 
     document.querySelectorAll("*").forEach((el) => {
       const shadow = getComputedStyle(el).boxShadow;
       if (shadow && shadow !== "none") {
-        shadows.set(shadow, (shadows.get(shadow) || 0) + 1);
+        if (!shadows.has(shadow)) {
+          shadows.set(shadow, { count: 0, elements: new Set() });
+        }
+        const data = shadows.get(shadow);
+        data.count++;
+        data.elements.add(contextOf(el));
       }
     });
 
     return Array.from(shadows.entries())
-      .map(([shadow, count]) => ({
+      .map(([shadow, { count, elements }]) => ({
         shadow,
         count,
+        elements: Array.from(elements).slice(0, 5),
         confidence: count > 5 ? "high" : count > 2 ? "medium" : "low",
       }))
       .sort((a, b) => b.count - a.count);
   });
 }
 
+/**
+ * Extract gradients from computed background-image, including ::before and
+ * ::after, where decorative gradients often live
+ * Each gradient layer is counted separately; analyzeGradients parses them.
+ */
+async function extractGradients(page) {
+  const usage = await page.evaluate(() => {
+    const gradients = new Map();
+
+    // Top-level comma split - rgb(...) arguments contain commas too
+    function splitLayers(value) {
+      const layers = [];
+      let depth = 0;
+      let current = "";
+      for (const char of value) {
+        if (char === "(") depth++;
+        if (char === ")") depth--;
+        if (char === "," && depth === 0) {
+          layers.push(current.trim());
+          current = "";
+        } else {
+          current += char;
+        }
+      }
+      if (current.trim()) layers.push(current.trim());
+      return layers;
+    }
+
+    document.querySelectorAll("*").forEach((el) => {
+      for (const pseudo of [null, "::before", "::after"]) {
+        const computed = getComputedStyle(el, pseudo);
+        if (!computed.backgroundImage.includes("gradient(")) continue;
+        if (computed.display === "none" || computed.visibility === "hidden") continue;
+        splitLayers(computed.backgroundImage)
+          .filter((layer) => layer.includes("gradient("))
+          .forEach((layer) => gradients.set(layer, (gradients.get(layer) || 0) + 1));
+      }
+    });
+
+    return Array.from(gradients.entries()).map(([value, count]) => ({ value, count }));
+  });
+
+  return analyzeGradients(usage);
+}
+
+/**
+ * Extract layout tokens: container max-widths, grid columns, gutters and page margin
+ * Containers are centered elements with a px max-width; the page margin is
+ * the horizontal padding of full-width wrappers and containers. Values depend
+ * on the viewport, so --viewports runs this once per width.
+ */
+async function extractLayout(page) {
+  return await page.evaluate(() => {
+    const containers = new Map();
+    const contentWidths = new Map();
+    const grids = new Map();
+    const flexGaps = new Map();
+    const pageMargins = new Map();
+    const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const viewportWidth = document.documentElement.clientWidth;
+
+    document.querySelectorAll("body *").forEach((el) => {
+      const computed = getComputedStyle(el);
+      if (computed.display === "none" || computed.visibility === "hidden") return;
+      const width = el.getBoundingClientRect().width;
+      if (width === 0) return;
+
+      const paddingLeft = parseFloat(computed.paddingLeft);
+      const sidePadding = paddingLeft > 0 && computed.paddingLeft === computed.paddingRight ? paddingLeft : 0;
+      const centered = computed.marginLeft === computed.marginRight;
+
+      // Centered with a fixed max-width - the content container
+      const maxWidth = parseFloat(computed.maxWidth);
+      if (computed.maxWidth.endsWith("px") && maxWidth >= 320 && centered) {
+        bump(containers, maxWidth);
+        bump(contentWidths, Math.round(width));
+        if (sidePadding) bump(pageMargins, sidePadding);
+      } else if (width >= viewportWidth - 1 && sidePadding) {
+        // Full-bleed wrappers that inset their content
+        bump(pageMargins, sidePadding);
+      }
+
+      if (computed.display === "grid" || computed.display === "inline-grid") {
+        // Computed tracks are resolved sizes ("300px 300px 300px"); drop line names
+        const tracks = computed.gridTemplateColumns
+          .replace(/\[[^\]]*\]/g, " ")
+          .trim()
+          .split(/\s+/)
+          .filter((track) => track && track !== "none");
+        if (tracks.length >= 2) {
+          const gap = parseFloat(computed.columnGap) || 0;
+          bump(grids, `${tracks.length}|${gap}`);
+        }
+      } else if (computed.display === "flex" || computed.display === "inline-flex") {
+        const gap = parseFloat(computed.flexDirection.startsWith("column") ? computed.rowGap : computed.columnGap);
+        if (gap > 0) bump(flexGaps, gap);
+      }
+    });
+
+    const ranked = (map) => Array.from(map.entries()).sort((a, b) => b[1] - a[1]);
+
+    const gridList = ranked(grids).map(([key, count]) => {
+      const [columns, gap] = key.split("|").map(Number);
+      return { columns, gap: `${gap}px`, count };
+    });
+    const flexGapList = ranked(flexGaps).map(([gap, count]) => ({ gap: `${gap}px`, count }));
+    const pageMarginList = ranked(pageMargins).map(([margin, count]) => ({ margin: `${margin}px`, count }));
+
+    // Most used column count across grids, weighted by how often each grid appears
+    const columnCounts = new Map();
+    gridList.forEach((g) => columnCounts.set(g.columns, (columnCounts.get(g.columns) || 0) + g.count));
+    const gridGutter = gridList.find((g) => parseFloat(g.gap) > 0);
+
+    return {
+      containers: ranked(containers)
+        .map(([maxWidth, count]) => ({ maxWidth: `${maxWidth}px`, count }))
+        .slice(0, 8),
+      grids: gridList.slice(0, 10),
+      flexGaps: flexGapList.slice(0, 10),
+      pageMargins: pageMarginList.slice(0, 6),
+      contentWidth: ranked(contentWidths)[0]?.[0] ?? null,
+      columns: ranked(columnCounts)[0]?.[0] ?? null,
+      gutter: gridGutter?.gap ?? flexGapList[0]?.gap ?? null,
+      pageMargin: pageMarginList[0]?.margin ?? null,
+    };
+  });
+}
+
+/**
+ * Extract transitions, animations and @keyframes
+ * Counts computed transition/animation values on elements plus declarations
+ * in readable stylesheets (so :hover-only transitions count too), then
+ * clusters them into a duration scale and named easing curves.
+ */
+async function extractMotion(page) {
+  const usage = await page.evaluate(() => {
+    const durations = new Map();
+    const easings = new Map();
+    const properties = new Map();
+    const animations = new Map();
+    const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    function toMs(value) {
+      const match = value.trim().match(/^([\d.]+)(ms|s)$/);
+      return match ? parseFloat(match[1]) * (match[2] === "s" ? 1000 : 1) : 0;
+    }
+
+    // Comma-separated timing lists; functions like cubic-bezier(a, b, c, d) contain commas too
+    function splitList(value) {
+      return (value || "").split(/,(?![^(]*\))/).map((v) => v.trim()).filter(Boolean);
+    }
+
+    // Durations and easings pair by index; shorter lists repeat (CSS rules)
+    function record({ property, duration, timing, name }) {
+      const durationList = splitList(duration);
+      const timingList = splitList(timing);
+      const names = splitList(name || property);
+      names.forEach((entry, i) => {
+        const ms = toMs(durationList[i % durationList.length] || "0s");
+        if (ms <= 0 || entry === "none") return;
+        bump(durations, ms);
+        const easing = timingList[i % timingList.length];
+        if (easing) bump(easings, easing);
+        if (name) bump(animations, entry);
+        else bump(properties, entry);
+      });
+    }
+
+    document.querySelectorAll("*").forEach((el) => {
+      const computed = getComputedStyle(el);
+      record({
+        property: computed.transitionProperty,
+        duration: computed.transitionDuration,
+        timing: computed.transitionTimingFunction,
+      });
+      if (computed.animationName && computed.animationName !== "none") {
+        record({
+          name: computed.animationName,
+          duration: computed.animationDuration,
+          timing: computed.animationTimingFunction,
+        });
+      }
+    });
+
+    const keyframes = [];
+    for (const sheet of document.styleSheets) {
+      let rules;
+      try {
+        rules = sheet.cssRules || [];
+      } catch (e) {
+        // Cross-origin stylesheets
+        continue;
+      }
+      for (const rule of rules) {
+        if (rule instanceof CSSKeyframesRule) {
+          const animated = new Set();
+          for (const frame of rule.cssRules) {
+            for (let i = 0; i < frame.style.length; i++) animated.add(frame.style[i]);
+          }
+          keyframes.push({
+            name: rule.name,
+            steps: Array.from(rule.cssRules).map((frame) => frame.keyText),
+            properties: [...animated],
+          });
+        } else if (rule.style && rule.selectorText && /:(hover|focus|active)/.test(rule.selectorText)) {
+          // State rules only apply on interaction, so computed styles miss them
+          if (rule.style.transitionDuration) {
+            record({
+              property: rule.style.transitionProperty || "all",
+              duration: rule.style.transitionDuration,
+              timing: rule.style.transitionTimingFunction || "ease",
+            });
+          }
+        }
+      }
+    }
+
+    const sorted = (map, key) => Array.from(map.entries())
+      .map(([value, count]) => ({ [key]: value, count }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      durations: sorted(durations, "ms"),
+      easings: sorted(easings, "value"),
+      properties: sorted(properties, "property").slice(0, 10),
+      keyframes: keyframes
+        .map((k) => ({ ...k, usedBy: animations.get(k.name) || 0 }))
+        .sort((a, b) => b.usedBy - a.usedBy)
+        .slice(0, 20),
+    };
+  });
+
+  return analyzeMotion(usage);
+}
+
 /**
  * Extract button component styles and variants
  */
@@ -1705,12 +2639,17 @@ async function extractButtonStyles(page) {
         // Stylesheet parsing failed
       }
 
+      // Marked for markedSelectors; the first button of a variant stands for it
+      const marker = buttonStyles.length;
+      btn.setAttribute('data-dembrandt-button', marker);
+
       buttonStyles.push({
         states,
         fontWeight: computed.fontWeight,
         fontSize: computed.fontSize,
         classes: className.substring(0, 50),
         confidence: isHighConfidence ? "high" : "medium",
+        marker,
       });
     });
 
@@ -1831,12 +2770,16 @@ async function extractInputStyles(page) {
         // Stylesheet parsing failed
       }
 
+      const marker = Object.values(inputGroups).flat().length;
+      input.setAttribute('data-dembrandt-input', marker);
+
       inputGroups[inputType].push({
         specificType,
         states: {
           default: defaultState,
           focus: focusState,
         },
+        marker,
       });
     });
 
@@ -1934,6 +2877,9 @@ async function extractLinkStyles(page) {
           // Stylesheet parsing failed
         }
 
+        const marker = uniqueStyles.size;
+        link.setAttribute('data-dembrandt-link', marker);
+
         uniqueStyles.set(key, {
           color: computed.color,
           textDecoration: computed.textDecoration,
@@ -1945,6 +2891,7 @@ async function extractLinkStyles(page) {
             },
             hover: hoverState,
           },
+          marker,
         });
       } else {
         // If we already have this color, update decoration if this one is more specific
@@ -2081,6 +3028,9 @@ async function extractBadgeStyles(page) {
       const styleKey = `${bgColor}-${computed.color}-${borderRadius}-${styleType}`;
 
       if (!seenStyles.has(styleKey)) {
+        const marker = badgeStyles.length;
+        badge.setAttribute('data-dembrandt-badge', marker);
+
         badgeStyles.push({
           backgroundColor: bgColor,
           color: computed.color,
@@ -2097,6 +3047,7 @@ async function extractBadgeStyles(page) {
           isRounded,
           classes: className.substring(0, 50),
           confidence,
+          marker,
         });
         seenStyles.set(styleKey, true);
       }
@@ -2119,6 +3070,115 @@ async function extractBadgeStyles(page) {
   });
 }
 
+/**
+ * Collect the text color / background color pairs rendered on the page
+ * The background is the first opaque one up the ancestor chain, with any
+ * translucent backgrounds in between blended over it; text over a background
+ * image is marked, since the color behind it can't be read from CSS.
+ *
+ * @returns {Array} [{ color, background, fontSize, fontWeight, kind, count, sample, overImage }]
+ */
+async function extractContrastPairs(page) {
+  return await page.evaluate(() => {
+    function parse(color) {
+      const match = color && color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/);
+      if (!match) return null;
+      return { r: +match[1], g: +match[2], b: +match[3], a: match[4] === undefined ? 1 : parseFloat(match[4]) };
+    }
+
+    function blend(top, bottom) {
+      const mix = (t, b) => Math.round(t * top.a + b * (1 - top.a));
+      return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a: 1 };
+    }
+
+    function toHex({ r, g, b }) {
+      return "#" + [r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("");
+    }
+
+    // Effective background per element, shared by its descendants
+    const backgrounds = new Map();
+    function backgroundOf(el) {
+      if (!el) return { color: { r: 255, g: 255, b: 255, a: 1 }, overImage: false };
+      if (backgrounds.has(el)) return backgrounds.get(el);
+
+      const computed = getComputedStyle(el);
+      const own = parse(computed.backgroundColor);
+      const hasImage = computed.backgroundImage !== "none";
+      let background;
+      if (own && own.a >= 1) {
+        background = { color: own, overImage: hasImage };
+      } else {
+        const behind = backgroundOf(el.parentElement);
+        background = {
+          color: own && own.a > 0 ? blend(own, behind.color) : behind.color,
+          overImage: hasImage || behind.overImage,
+        };
+      }
+      backgrounds.set(el, background);
+      return background;
+    }
+
+    function kindOf(el) {
+      if (el.matches("input, textarea, select")) return "input";
+      if (el.closest('button, [role="button"], .btn, [class*="button"]')) return "button";
+      if (el.closest("a[href]")) return "link";
+      if (el.closest('[class*="badge"], [class*="tag"], [class*="pill"], [class*="chip"]')) return "badge";
+      return "text";
+    }
+
+    function ownText(el) {
+      if (el.matches("input, textarea")) return el.value || "";
+      if (el.matches("select")) return el.selectedOptions[0]?.textContent || "";
+      return Array.from(el.childNodes)
+        .filter((node) => node.nodeType === Node.TEXT_NODE)
+        .map((node) => node.textContent)
+        .join("");
+    }
+
+    const pairs = new Map();
+    Array.from(document.querySelectorAll("body *"))
+      .slice(0, 5000)
+      .forEach((el) => {
+        if (el.closest("script, style, noscript, svg, template")) return;
+        const text = ownText(el).trim().replace(/\s+/g, " ");
+        if (!text) return;
+
+        const computed = getComputedStyle(el);
+        if (computed.display === "none" || computed.visibility === "hidden" || parseFloat(computed.opacity) === 0) return;
+        // Screen-reader-only text is clipped to a pixel
+        const rect = el.getBoundingClientRect();
+        if (rect.width <= 1 || rect.height <= 1) return;
+
+        const color = parse(computed.color);
+        if (!color || color.a === 0) return;
+        const background = backgroundOf(el);
+        const foreground = color.a < 1 ? blend(color, background.color) : color;
+        const kind = kindOf(el);
+
+        const key = [toHex(foreground), toHex(background.color), computed.fontSize, computed.fontWeight, kind, background.overImage].join("|");
+        const existing = pairs.get(key);
+        if (existing) {
+          existing.count++;
+          return;
+        }
+        pairs.set(key, {
+          color: toHex(foreground),
+          background: toHex(background.color),
+          fontSize: computed.fontSize,
+          fontWeight: computed.fontWeight,
+          kind,
+          count: 1,
+          sample: text.slice(0, 40),
+          ...(background.overImage && { overImage: true }),
+        });
+      });
+
+    return Array.from(pairs.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 300);
+  });
+}
+
 /**
  * Detect responsive breakpoints from CSS
  */
@@ -0,0 +1,306 @@
+/**
+ * Figma Exporters
+ * Converts dembrandt extraction output to Tokens Studio JSON and to the
+ * Figma Variables REST payload (POST /v1/files/:key/variables).
+ *
+ * Token names and filtering come from the W3C exporter (exportColors,
+ * exportSpacing, exportBorderRadius, exportTypography), so every format
+ * names the same token the same way (palette-1, spacing-3, radius-2, ...).
+ *
+ * Tokens Studio: https://docs.tokens.studio/
+ * Figma Variables API: https://www.figma.com/developers/api#variables
+ */
+
+import {
+  exportColors,
+  exportSpacing,
+  exportBorderRadius,
+  exportTypography,
+  exportLayout,
+} from './w3c-exporter.js';
+
+/**
+ * W3C color value -> #rrggbb, or #rrggbbaa with transparency
+ */
+function toHex(value) {
+  if (value.alpha === undefined) return value.hex;
+  return value.hex + Math.round(value.alpha * 255).toString(16).padStart(2, '0');
+}
+
+/**
+ * W3C color value -> Figma RGBA (0-1 channels)
+ */
+function toFigmaColor(value) {
+  const [r, g, b] = value.components;
+  return { r, g, b, a: value.alpha ?? 1 };
+}
+
+/**
+ * W3C dimension -> pixels, or null for units Figma can't hold (%, vw)
+ */
+function toPixels(dimension) {
+  if (dimension.unit === 'px') return dimension.value;
+  if (dimension.unit === 'rem' || dimension.unit === 'em') return dimension.value * 16;
+  return null;
+}
+
+/**
+ * Light and dark color values, named by exportColors
+ * A token without its own dark value keeps the light one; dark is null
+ * without --dark-mode themes.
+ *
+ * @returns {Object} { light, dark } as name -> W3C color value
+ */
+function collectColorModes(extractionResult) {
+  const tokens = exportColors(extractionResult.colors, extractionResult.themes?.pairs);
+  if (!tokens) return { light: null, dark: null };
+
+  const light = {};
+  const dark = {};
+  for (const group of Object.values(tokens)) {
+    for (const [name, token] of Object.entries(group)) {
+      light[name] = token.$value;
+      dark[name] = token.$extensions?.mode?.dark || token.$value;
+    }
+  }
+  return { light, dark: extractionResult.themes ? dark : null };
+}
+
+/**
+ * Text styles from exportTypography as plain values
+ * @returns {Array} { name, fontFamily, fontSize (px), fontWeight, lineHeight, letterSpacing (px) }
+ */
+function collectTextStyles(typography) {
+  const tokens = exportTypography(typography);
+  if (!tokens?.style) return [];
+
+  return Object.entries(tokens.style).map(([name, token]) => {
+    const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = token.$value;
+    const familyKey = fontFamily?.match(/^\{typography\.font-family\.(.+)\}$/)?.[1];
+    return {
+      name: name.replace(/^text-/, ''),
+      familyKey,
+      fontFamily: familyKey ? tokens['font-family'][familyKey].$value : fontFamily,
+      fontSize: fontSize ? toPixels(fontSize) : null,
+      fontWeight: fontWeight ?? null,
+      lineHeight: lineHeight ?? null,
+      letterSpacing: letterSpacing ? toPixels(letterSpacing) : null,
+    };
+  });
+}
+
+/**
+ * Spacing, radius and layout tokens as name -> pixels (non-pixel values skipped)
+ * Layout columns is a plain count.
+ */
+function collectNumbers(extractionResult) {
+  const numbers = { spacing: {}, radius: {}, layout: {} };
+  for (const [name, token] of Object.entries(exportSpacing(extractionResult.spacing) || {})) {
+    const px = toPixels(token.$value);
+    if (px !== null) numbers.spacing[name] = px;
+  }
+  for (const [name, token] of Object.entries(exportBorderRadius(extractionResult.borderRadius) || {})) {
+    const px = toPixels(token.$value);
+    if (px !== null) numbers.radius[name] = px;
+  }
+  const { container, columns, ...layout } = exportLayout(extractionResult.layout) || {};
+  for (const [name, token] of Object.entries({ ...container, ...layout })) {
+    const px = toPixels(token.$value);
+    if (px !== null) numbers.layout[name] = px;
+  }
+  if (columns) numbers.layout.columns = columns.$value;
+  return numbers;
+}
+
+/**
+ * Convert to Tokens Studio JSON (multi-set file)
+ * Colors live in "light"/"dark" sets with matching $themes when dark theme data
+ * exists, otherwise in "global" with everything else.
+ *
+ * @param {Object} extractionResult - Raw dembrandt extraction result
+ * @returns {Object} Tokens Studio document
+ */
+export function toTokensStudio(extractionResult) {
+  const global = {};
+  const { light, dark } = collectColorModes(extractionResult);
+
+  const colorSet = (colors) => {
+    const set = {};
+    for (const [name, value] of Object.entries(colors)) {
+      set[name] = { value: toHex(value), type: 'color' };
+    }
+    return set;
+  };
+
+  if (light && !dark) global.color = colorSet(light);
+
+  const numbers = collectNumbers(extractionResult);
+  if (Object.keys(numbers.spacing).length > 0) {
+    global.spacing = {};
+    for (const [name, px] of Object.entries(numbers.spacing)) {
+      global.spacing[name] = { value: String(px), type: 'spacing' };
+    }
+  }
+  if (Object.keys(numbers.radius).length > 0) {
+    global.borderRadius = {};
+    for (const [name, px] of Object.entries(numbers.radius)) {
+      global.borderRadius[name] = { value: String(px), type: 'borderRadius' };
+    }
+  }
+
+  if (Object.keys(numbers.layout).length > 0) {
+    global.layout = {};
+    for (const [name, value] of Object.entries(numbers.layout)) {
+      const type = name === 'columns' ? 'number' : name.startsWith('container') ? 'sizing' : 'spacing';
+      global.layout[name] = { value: String(value), type };
+    }
+  }
+
+  const styles = collectTextStyles(extractionResult.typography);
+  if (styles.length > 0) {
+    global.fontFamilies = {};
+    global.typography = {};
+
+    for (const style of styles) {
+      const value = {};
+      if (style.fontFamily) {
+        const key = style.familyKey || style.name;
+        global.fontFamilies[key] = { value: style.fontFamily, type: 'fontFamilies' };
+        value.fontFamily = `{fontFamilies.${key}}`;
+      }
+      if (style.fontSize !== null) value.fontSize = String(style.fontSize);
+      if (style.fontWeight !== null) value.fontWeight = String(style.fontWeight);
+      if (style.lineHeight !== null) value.lineHeight = `${Math.round(style.lineHeight * 100)}%`;
+      if (style.letterSpacing !== null) value.letterSpacing = String(style.letterSpacing);
+      global.typography[style.name] = { value, type: 'typography' };
+    }
+  }
+
+  const document = { global };
+  const tokenSetOrder = ['global'];
+
+  if (dark) {
+    document.light = { color: colorSet(light) };
+    document.dark = { color: colorSet(dark) };
+    tokenSetOrder.push('light', 'dark');
+    document.$themes = ['light', 'dark'].map((mode) => ({
+      id: mode,
+      name: mode === 'light' ? 'Light' : 'Dark',
+      selectedTokenSets: { global: 'source', [mode]: 'enabled' },
+    }));
+  }
+
+  document.$metadata = { tokenSetOrder };
+  return document;
+}
+
+/**
+ * Convert to a Figma Variables REST payload
+ * Creates Color (Light/Dark modes when dark theme data exists), Number
+ * (spacing, radius, layout) and Typography collections. IDs are temporary ids that
+ * Figma resolves on POST.
+ *
+ * @param {Object} extractionResult - Raw dembrandt extraction result
+ * @returns {Object} { variableCollections, variableModes, variables, variableModeValues }
+ */
+export function toFigmaVariables(extractionResult) {
+  const payload = {
+    variableCollections: [],
+    variableModes: [],
+    variables: [],
+    variableModeValues: [],
+  };
+
+  // A collection with one mode per name; the first mode renames the initial mode
+  const addCollection = (key, name, modes) => {
+    const collectionId = `collection_${key}`;
+    const modeIds = modes.map((mode) => `mode_${key}_${mode.toLowerCase()}`);
+    payload.variableCollections.push({
+      action: 'CREATE',
+      id: collectionId,
+      name,
+      initialModeId: modeIds[0],
+    });
+    modes.forEach((mode, index) => {
+      payload.variableModes.push({
+        action: index === 0 ? 'UPDATE' : 'CREATE',
+        id: modeIds[index],
+        name: mode,
+        variableCollectionId: collectionId,
+      });
+    });
+    return { collectionId, modeIds };
+  };
+
+  const addVariable = ({ collectionId, modeIds }, name, resolvedType, scopes, values) => {
+    const id = `var_${name.replace(/[^a-z0-9]+/gi, '_')}`;
+    payload.variables.push({
+      action: 'CREATE',
+      id,
+      name,
+      variableCollectionId: collectionId,
+      resolvedType,
+      scopes,
+    });
+    modeIds.forEach((modeId, index) => {
+      payload.variableModeValues.push({ variableId: id, modeId, value: values[index] });
+    });
+  };
+
+  // Color - one variable per token, with its dark value in the Dark mode
+  const { light, dark } = collectColorModes(extractionResult);
+  if (light) {
+    const collection = addCollection('color', 'Color', dark ? ['Light', 'Dark'] : ['Value']);
+    for (const [name, value] of Object.entries(light)) {
+      const values = [toFigmaColor(value)];
+      if (dark) values.push(toFigmaColor(dark[name]));
+      addVariable(collection, `color/${name}`, 'COLOR', ['ALL_SCOPES'], values);
+    }
+  }
+
+  // Number - spacing, radius and layout in pixels
+  const numbers = collectNumbers(extractionResult);
+  const numberCount = Object.values(numbers).reduce((sum, group) => sum + Object.keys(group).length, 0);
+  if (numberCount > 0) {
+    const collection = addCollection('number', 'Number', ['Value']);
+    for (const [name, px] of Object.entries(numbers.spacing)) {
+      addVariable(collection, `spacing/${name}`, 'FLOAT', ['GAP', 'WIDTH_HEIGHT'], [px]);
+    }
+    for (const [name, px] of Object.entries(numbers.radius)) {
+      addVariable(collection, `radius/${name}`, 'FLOAT', ['CORNER_RADIUS'], [px]);
+    }
+    for (const [name, value] of Object.entries(numbers.layout)) {
+      const scopes = name === 'columns' ? [] : name.startsWith('container') ? ['WIDTH_HEIGHT'] : ['GAP'];
+      addVariable(collection, `layout/${name}`, 'FLOAT', scopes, [value]);
+    }
+  }
+
+  // Typography - one group per text style
+  const styles = collectTextStyles(extractionResult.typography);
+  if (styles.length > 0) {
+    const collection = addCollection('typography', 'Typography', ['Value']);
+    for (const style of styles) {
+      const group = `typography/${style.name}`;
+      if (style.fontFamily) {
+        addVariable(collection, `${group}/font-family`, 'STRING', ['FONT_FAMILY'], [style.fontFamily]);
+      }
+      if (style.fontSize !== null) {
+        addVariable(collection, `${group}/font-size`, 'FLOAT', ['FONT_SIZE'], [style.fontSize]);
+      }
+      if (style.fontWeight !== null) {
+        addVariable(collection, `${group}/font-weight`, 'FLOAT', ['FONT_WEIGHT'], [style.fontWeight]);
+      }
+      if (style.lineHeight !== null && style.fontSize !== null) {
+        // Figma line height variables are in pixels
+        addVariable(collection, `${group}/line-height`, 'FLOAT', ['LINE_HEIGHT'], [
+          Math.round(style.lineHeight * style.fontSize * 100) / 100,
+        ]);
+      }
+      if (style.letterSpacing !== null) {
+        addVariable(collection, `${group}/letter-spacing`, 'FLOAT', ['LETTER_SPACING'], [style.letterSpacing]);
+      }
+    }
+  }
+
+  return payload;
+}
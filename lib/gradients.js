@@ -0,0 +1,231 @@
+/**
+ * Gradients
+ * Parses computed background-image gradients (linear, radial, conic and their
+ * repeating forms) into type, angle and color stops, merges near-identical
+ * ones, and feeds their stop colors into the palette.
+ */
+
+import { parseCssColor, toHex, deltaE } from './color-utils.js';
+
+// "to right" and friends as angles
+const DIRECTIONS = {
+  'to top': 0,
+  'to top right': 45,
+  'to right top': 45,
+  'to right': 90,
+  'to bottom right': 135,
+  'to right bottom': 135,
+  'to bottom': 180,
+  'to bottom left': 225,
+  'to left bottom': 225,
+  'to left': 270,
+  'to top left': 315,
+  'to left top': 315,
+};
+
+// Two gradients are the same token when every stop is this close
+const SAME_STOP_COLOR = 5;
+const SAME_STOP_POSITION = 0.05;
+const SAME_ANGLE = 5;
+const MAX_GRADIENTS = 12;
+
+/**
+ * Split on top-level commas, leaving rgb(...) and nested gradients intact
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split a background-image value into its gradient layers
+ * "linear-gradient(...), url(a.png)" -> ["linear-gradient(...)"]
+ */
+export function gradientLayers(value) {
+  if (!value || value === 'none') return [];
+  return splitTopLevel(value).filter((layer) => /^(repeating-)?(linear|radial|conic)-gradient\(/.test(layer));
+}
+
+/**
+ * CSS angle (deg, turn, rad, grad) in degrees
+ */
+function parseAngle(value) {
+  const match = String(value).match(/(-?[\d.]+)(deg|turn|rad|grad)/);
+  if (!match) return null;
+  const n = parseFloat(match[1]);
+  const degrees = { deg: n, turn: n * 360, rad: (n * 180) / Math.PI, grad: n * 0.9 }[match[2]];
+  return Math.round((((degrees % 360) + 360) % 360) * 100) / 100;
+}
+
+/**
+ * Fill in missing stop positions the way CSS does: first 0, last 1,
+ * unpositioned stops spread evenly between their positioned neighbours
+ */
+function fillPositions(stops) {
+  if (stops.length === 0) return stops;
+  if (stops[0].position === null) stops[0].position = 0;
+  if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+
+  let last = 0;
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].position === null) continue;
+    const gap = i - last;
+    for (let j = last + 1; j < i; j++) {
+      const t = (j - last) / gap;
+      stops[j].position = stops[last].position + t * (stops[i].position - stops[last].position);
+    }
+    last = i;
+  }
+  stops.forEach((stop) => {
+    stop.position = Math.round(stop.position * 1000) / 1000;
+  });
+  return stops;
+}
+
+/**
+ * Parse one gradient
+ *
+ * @param {string} value - e.g. "linear-gradient(90deg, rgb(99, 91, 255) 0%, rgb(0, 212, 255) 100%)"
+ * @returns {Object|null} { type, repeating, angle, shape, stops: [{ color, alpha, position }], css }
+ */
+export function parseGradient(value) {
+  const match = String(value).trim().match(/^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/s);
+  if (!match) return null;
+
+  const [, repeating, type, body] = match;
+  const args = splitTopLevel(body);
+  const stops = [];
+  let config = null;
+
+  args.forEach((arg, index) => {
+    const stop = arg.match(/^(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-f]{3,8}|[a-z]+)\s*(.*)$/i);
+    const rgb = stop && parseCssColor(stop[1]);
+    if (!rgb) {
+      // The first argument configures the gradient; later ones are bare hints
+      if (index === 0) config = arg;
+      return;
+    }
+
+    // A stop can carry two positions ("red 10% 20%") - it is then two stops
+    const positions = stop[2].split(/\s+/).filter(Boolean).map((p) => {
+      if (p.endsWith('%')) return parseFloat(p) / 100;
+      return p.endsWith('px') ? { px: parseFloat(p) } : null;
+    });
+    const color = { color: toHex(rgb), alpha: rgb.a };
+    if (positions.length === 0) positions.push(null);
+    positions.slice(0, 2).forEach((position) => stops.push({ ...color, position }));
+  });
+
+  if (stops.length < 2) return null;
+
+  // Pixel stops (common in repeating stripes) as fractions of the longest one
+  const longest = Math.max(0, ...stops.map((s) => s.position?.px ?? 0));
+  stops.forEach((s) => {
+    if (s.position?.px !== undefined) s.position = longest > 0 ? s.position.px / longest : null;
+  });
+
+  const gradient = { type, repeating: !!repeating, angle: null, shape: null };
+  if (type === 'linear') {
+    gradient.angle = config ? (DIRECTIONS[config.replace(/\s+/g, ' ')] ?? parseAngle(config)) : 180;
+  } else if (type === 'conic') {
+    const from = config?.match(/from\s+(\S+)/);
+    gradient.angle = from ? parseAngle(from[1]) : 0;
+    if (config?.includes(' at ')) gradient.shape = config.slice(config.indexOf('at '));
+  } else {
+    gradient.shape = config || 'ellipse';
+  }
+
+  return { ...gradient, stops: fillPositions(stops), css: String(value).trim() };
+}
+
+/**
+ * Whether two parsed gradients would read as the same design token
+ */
+function isSameGradient(a, b) {
+  if (a.type !== b.type || a.repeating !== b.repeating || a.stops.length !== b.stops.length) return false;
+  if (a.shape !== b.shape) return false;
+  if (a.angle !== null && b.angle !== null) {
+    const diff = Math.abs(a.angle - b.angle) % 360;
+    if (Math.min(diff, 360 - diff) > SAME_ANGLE) return false;
+  }
+  return a.stops.every((stop, i) => {
+    const other = b.stops[i];
+    return Math.abs(stop.position - other.position) <= SAME_STOP_POSITION &&
+      Math.abs(stop.alpha - other.alpha) <= 0.05 &&
+      deltaE(parseCssColor(stop.color), parseCssColor(other.color)) < SAME_STOP_COLOR;
+  });
+}
+
+/**
+ * Build gradient tokens from raw background-image usage
+ *
+ * @param {Array} usage - [{ value, count }] gradient layers from extractGradients
+ * @returns {Array} [{ name: "gradient-1", type, repeating, angle, shape, stops, css, count }] most used first
+ */
+export function analyzeGradients(usage = []) {
+  const gradients = [];
+  for (const { value, count } of [...usage].sort((a, b) => b.count - a.count)) {
+    const gradient = parseGradient(value);
+    if (!gradient) continue;
+    const same = gradients.find((g) => isSameGradient(g, gradient));
+    if (same) same.count += count;
+    else gradients.push({ ...gradient, count });
+  }
+
+  return gradients
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_GRADIENTS)
+    .map((gradient, index) => ({ name: `gradient-${index + 1}`, ...gradient }));
+}
+
+/**
+ * Add gradient stop colors to the palette
+ * Colors already in the palette gain a "gradient" source; opaque stops that
+ * aren't get a new medium confidence entry. Translucent stops (fades to
+ * transparent) are left out.
+ *
+ * @param {Array} palette - colors.palette, updated in place
+ * @param {Array} gradients - analyzeGradients output
+ * @returns {number} Palette entries added
+ */
+export function addGradientColors(palette = [], gradients = []) {
+  let added = 0;
+  for (const gradient of gradients) {
+    for (const stop of gradient.stops) {
+      if (stop.alpha < 1) continue;
+      const rgb = parseCssColor(stop.color);
+      const entry = palette.find((c) => {
+        const other = parseCssColor(c.normalized || c.color);
+        return other && deltaE(other, rgb) < SAME_STOP_COLOR;
+      });
+
+      if (entry) {
+        entry.sources = entry.sources || [];
+        if (!entry.sources.includes('gradient')) entry.sources.push('gradient');
+        continue;
+      }
+      palette.push({
+        color: `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`,
+        normalized: stop.color,
+        count: gradient.count,
+        confidence: 'medium',
+        sources: ['gradient'],
+      });
+      added++;
+    }
+  }
+  return added;
+}
@@ -0,0 +1,228 @@
+/**
+ * Brand History
+ *
+ * Reads the timestamped results that --save-output writes to
+ * output/<domain>/ (optionally caching them in output/<domain>/history.json),
+ * builds a timeline of when the primary color, fonts, radius scale and button
+ * styles changed, and measures the drift of the latest snapshot against the
+ * one before it.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from "fs";
+import { join } from "path";
+import { getDomain, normalizeUrl } from "./output.js";
+import { parseCssColor, toHex, deltaE } from "./color-utils.js";
+
+// Result files only - exports like .tokens.json and .css share the timestamp
+const RESULT_FILE = /^\d{4}-\d{2}-\d{2}T[\d-]+Z?\.json$/;
+
+// Bumped whenever brandFingerprint changes, so cached fingerprints are rebuilt
+const INDEX_VERSION = 2;
+
+// Drift allowed before the history command fails: delta-E for the primary
+// color, number of added/removed values for the rest
+export const DEFAULT_THRESHOLDS = {
+  color: 5,
+  fonts: 0,
+  radius: 0,
+  buttons: 0,
+};
+
+/**
+ * #rrggbb for a CSS color, the input unchanged when unparseable
+ */
+function hex(color) {
+  const rgb = parseCssColor(color);
+  return rgb ? toHex(rgb) : color;
+}
+
+/**
+ * The tokens history tracks, reduced to comparable values
+ * Results saved before color roles existed fall back to the semantic
+ * primary color; buttons saved before states existed are read flat.
+ *
+ * @param {Object} result - extractBranding result
+ * @returns {Object} { primary, fonts, radius, buttons }
+ */
+export function brandFingerprint(result) {
+  const styles = result.typography?.styles || [];
+  const radius = (result.borderRadius?.values || [])
+    .filter((r) => r.confidence !== "low")
+    .sort((a, b) => (a.numericValue ?? parseFloat(a.value)) - (b.numericValue ?? parseFloat(b.value)))
+    .map((r) => r.value);
+  const buttons = (result.components?.buttons || []).slice(0, 5).map((button) => {
+    const { backgroundColor, color, borderRadius } = button.states?.default || button;
+    return `${hex(backgroundColor)} / ${hex(color)} / ${borderRadius}`;
+  });
+
+  return {
+    primary: result.colors?.roles?.primary?.color || result.colors?.semantic?.primary || null,
+    fonts: [...new Set(styles.map((s) => s.family).filter(Boolean))].sort(),
+    radius: [...new Set(radius)],
+    buttons: [...new Set(buttons)].sort(),
+  };
+}
+
+/**
+ * Index the saved results in output/<domain>/
+ * With cache, history.json keeps each file's fingerprint, so later calls only
+ * read new runs. Files that can't be read are listed in skipped.
+ *
+ * @param {string} input - Domain or URL
+ * @param {Object} options
+ * @param {boolean} options.cache - Read and update output/<domain>/history.json
+ * @returns {Object} { domain, dir, snapshots: [{ file, url, extractedAt, fingerprint }] oldest first, skipped: [{ file, reason }] }
+ * @throws {Error} When the domain has no output folder
+ */
+export function loadHistory(input, { cache = false } = {}) {
+  const domain = getDomain(normalizeUrl(input));
+  const dir = join(process.cwd(), "output", domain);
+  if (!existsSync(dir)) {
+    throw new Error(`No saved results for ${domain} in output/${domain}/ (run with --save-output first)`);
+  }
+
+  const indexPath = join(dir, "history.json");
+  const cached = new Map();
+  if (cache && existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(readFileSync(indexPath, "utf8"));
+      if (index.version === INDEX_VERSION) {
+        for (const snapshot of index.snapshots || []) cached.set(snapshot.file, snapshot);
+      }
+    } catch {
+      // Unreadable index - rebuild it
+    }
+  }
+
+  const snapshots = [];
+  const skipped = [];
+  for (const file of readdirSync(dir).filter((name) => RESULT_FILE.test(name)).sort()) {
+    if (cached.has(file)) {
+      snapshots.push(cached.get(file));
+      continue;
+    }
+    try {
+      const result = JSON.parse(readFileSync(join(dir, file), "utf8"));
+      if (!result.colors) {
+        skipped.push({ file, reason: "not a dembrandt result" });
+        continue;
+      }
+      snapshots.push({
+        file,
+        url: result.url,
+        extractedAt: result.extractedAt,
+        fingerprint: brandFingerprint(result),
+      });
+    } catch (err) {
+      // Partially written or hand-edited file
+      skipped.push({ file, reason: err.message });
+    }
+  }
+  snapshots.sort((a, b) => new Date(a.extractedAt) - new Date(b.extractedAt));
+
+  if (cache) {
+    writeFileSync(indexPath, JSON.stringify({ version: INDEX_VERSION, domain, updatedAt: new Date().toISOString(), snapshots }, null, 2));
+  }
+  return { domain, dir: `output/${domain}`, snapshots, skipped };
+}
+
+/**
+ * Values in one list and not the other
+ */
+function listChanges(before = [], after = []) {
+  return {
+    added: after.filter((v) => !before.includes(v)),
+    removed: before.filter((v) => !after.includes(v)),
+  };
+}
+
+/**
+ * Drift between two fingerprints, per tracked token
+ * The color check is skipped when only one side has a primary color - that
+ * says more about what the extraction found than about the brand.
+ *
+ * @returns {Object} { color: { before, after, value, skipped? }, fonts: { added, removed, value }, radius, buttons }
+ */
+export function fingerprintDrift(before, after) {
+  const drift = {};
+
+  const from = parseCssColor(before.primary || "");
+  const to = parseCssColor(after.primary || "");
+  drift.color = { before: before.primary, after: after.primary, value: 0 };
+  if (from && to) drift.color.value = Math.round(deltaE(from, to) * 10) / 10;
+  else if (from || to) drift.color.skipped = true;
+
+  for (const name of ["fonts", "radius", "buttons"]) {
+    const { added, removed } = listChanges(before[name], after[name]);
+    drift[name] = { added, removed, value: added.length + removed.length };
+  }
+  return drift;
+}
+
+/**
+ * When each tracked token changed, run by run
+ *
+ * @param {Array} snapshots - loadHistory snapshots, oldest first
+ * @returns {Array} [{ file, extractedAt, changes: { color?, fonts?, radius?, buttons? } }] runs with changes
+ */
+export function buildTimeline(snapshots) {
+  const timeline = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const drift = fingerprintDrift(snapshots[i - 1].fingerprint, snapshots[i].fingerprint);
+    const changes = Object.fromEntries(Object.entries(drift).filter(([, d]) => d.value > 0));
+    if (Object.keys(changes).length > 0) {
+      timeline.push({ file: snapshots[i].file, extractedAt: snapshots[i].extractedAt, changes });
+    }
+  }
+  return timeline;
+}
+
+/**
+ * Parse --fail-on, e.g. "color=3,fonts=0"; unnamed checks keep their default
+ *
+ * @throws {Error} For unknown names or non-numeric values
+ */
+export function parseThresholds(value) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  if (!value) return thresholds;
+  for (const part of value.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [name, limit] = part.split("=").map((p) => p.trim());
+    if (!(name in DEFAULT_THRESHOLDS)) {
+      throw new Error(`Unknown drift check "${name}" (expected ${Object.keys(DEFAULT_THRESHOLDS).join(", ")})`);
+    }
+    if (limit === undefined || Number.isNaN(Number(limit)) || Number(limit) < 0) {
+      throw new Error(`Invalid threshold for ${name}: "${limit}"`);
+    }
+    thresholds[name] = Number(limit);
+  }
+  return thresholds;
+}
+
+/**
+ * Brand history for a domain: snapshots, timeline and drift of the latest
+ * snapshot against the previous one
+ *
+ * @param {string} input - Domain or URL
+ * @param {Object} thresholds - Allowed drift per check (see DEFAULT_THRESHOLDS)
+ * @param {Object} options - loadHistory options ({ cache })
+ * @returns {Object} { domain, dir, snapshots, skipped, timeline, drift: { from, to, checks, exceeded } | null }
+ */
+export function analyzeHistory(input, thresholds = DEFAULT_THRESHOLDS, options = {}) {
+  const { domain, dir, snapshots, skipped } = loadHistory(input, options);
+  const timeline = buildTimeline(snapshots);
+
+  let drift = null;
+  if (snapshots.length >= 2) {
+    const [previous, latest] = snapshots.slice(-2);
+    const measured = fingerprintDrift(previous.fingerprint, latest.fingerprint);
+    const checks = Object.entries(measured).map(([name, d]) => ({
+      name,
+      ...d,
+      threshold: thresholds[name],
+      exceeded: d.value > thresholds[name],
+    }));
+    drift = { from: previous.file, to: latest.file, checks, exceeded: checks.some((c) => c.exceeded) };
+  }
+
+  return { domain, dir, snapshots, skipped, timeline, drift };
+}
@@ -0,0 +1,452 @@
+/**
+ * HTML Brand Report
+ * Renders an extraction result as one standalone HTML file to share with
+ * designers: logo, color swatches with contrast, type specimens in the site's
+ * own web fonts, spacing and radius scales, shadows, gradients and component
+ * previews rebuilt from the extracted states. Files saved by --assets are
+ * embedded as data URIs, so the report also works offline.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { parseCssColor, toHex, toHsl, contrastRatio } from './color-utils.js';
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+
+const SPECIMEN_TEXT = 'The quick brown fox jumps over the lazy dog';
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Inline style attribute from a property map, skipping empty values
+ * Values come from computed styles; anything that could leave the
+ * declaration (semicolons, braces, url()) is dropped.
+ */
+function styleAttr(properties) {
+  const declarations = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .filter(([, value]) => !/[;{}<>]|url\(|expression\(/i.test(String(value)))
+    .map(([name, value]) => `${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}: ${value}`);
+  return `style="${escapeHtml(declarations.join('; '))}"`;
+}
+
+/**
+ * A file downloaded by --assets as a data URI, or null when it isn't on disk
+ */
+function assetDataUri(result, predicate) {
+  const entry = result.assets?.files?.find((file) => file.file && predicate(file));
+  if (!entry) return null;
+  const path = join(process.cwd(), result.assets.dir, entry.file);
+  if (!existsSync(path)) return null;
+  return `data:${entry.mimeType};base64,${readFileSync(path).toString('base64')}`;
+}
+
+/**
+ * @font-face rules for the site's web fonts - embedded from --assets when
+ * available, else loaded from the site (which may block cross-origin use)
+ */
+function fontFaceRules(result) {
+  const faces = result.typography?.sources?.fontFaces || [];
+  return faces
+    .filter((face) => face.family && face.url)
+    .map((face) => {
+      const embedded = assetDataUri(result, (file) => file.type === 'font' && file.url === face.url);
+      const src = JSON.stringify(embedded || face.url).replace(/</g, '\\3c ');
+      const format = face.format ? ` format(${JSON.stringify(face.format)})` : '';
+      return [
+        '@font-face {',
+        `  font-family: ${JSON.stringify(face.family).replace(/</g, '\\3c ')};`,
+        `  src: url(${src})${format};`,
+        face.weight ? `  font-weight: ${String(face.weight).replace(/[^\w\s]/g, '')};` : '',
+        face.style ? `  font-style: ${String(face.style).replace(/[^\w\s]/g, '')};` : '',
+        '  font-display: swap;',
+        '}',
+      ].filter(Boolean).join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Logo as an <img>; inline SVG markup goes through a data URI so its
+ * scripts never run
+ */
+function renderLogo(result) {
+  const { logo } = result;
+  if (!logo) return '';
+
+  const src = assetDataUri(result, (file) => file.type === 'logo' && (file.variant === 'primary' || !file.variant))
+    || (logo.svg ? `data:image/svg+xml;base64,${Buffer.from(logo.svg).toString('base64')}` : logo.url);
+  if (!src) return '';
+
+  const colors = (logo.colors || [])
+    .map((c) => `<span class="chip" style="background: ${escapeHtml(c.color)}" title="${escapeHtml(`${c.color} · ${Math.round(c.share * 100)}%`)}"></span>`)
+    .join('');
+  return `
+    <section>
+      <h2>Logo</h2>
+      <div class="logo">
+        <img src="${escapeHtml(src)}" alt="${escapeHtml(logo.alt || 'Logo')}">
+      </div>
+      ${colors ? `<p class="meta">Logo colors ${colors}</p>` : ''}
+    </section>`;
+}
+
+/**
+ * Contrast of a color against white and black, with its WCAG AA verdict
+ */
+function contrastLabel(rgb, against, name) {
+  const ratio = contrastRatio(rgb, against);
+  const verdict = ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA large' : 'fail';
+  return `${name} ${ratio.toFixed(2)}:1 <span class="tag ${verdict === 'fail' ? 'fail' : ''}">${verdict}</span>`;
+}
+
+function renderSwatch(color, label, detail) {
+  const rgb = parseCssColor(color);
+  if (!rgb) return '';
+  const hex = toHex(rgb);
+  const { h, s, l } = toHsl(rgb);
+  const hsl = `hsl(${Math.round(h)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%)`;
+  return `
+        <div class="swatch">
+          <div class="sample" style="background: ${hex}"></div>
+          <div class="info">
+            <strong>${escapeHtml(label || hex)}</strong>
+            <code>${hex}</code>
+            <code>rgb(${rgb.r}, ${rgb.g}, ${rgb.b})</code>
+            <code>${hsl}</code>
+            <span>${contrastLabel(rgb, WHITE, 'on white')}</span>
+            <span>${contrastLabel(rgb, BLACK, 'on black')}</span>
+            ${detail ? `<span class="meta">${escapeHtml(detail)}</span>` : ''}
+          </div>
+        </div>`;
+}
+
+function renderColors(colors) {
+  if (!colors) return '';
+  const roles = Object.entries(colors.roles || {});
+  const palette = (colors.palette || []).filter((c) => c.confidence === 'high' || c.confidence === 'medium');
+  if (roles.length === 0 && palette.length === 0) return '';
+
+  return `
+    <section>
+      <h2>Colors</h2>
+      ${roles.length > 0 ? `
+      <h3>Roles</h3>
+      <div class="grid">${roles.map(([role, { color, evidence }]) => renderSwatch(color, role, evidence?.[0])).join('')}
+      </div>` : ''}
+      ${palette.length > 0 ? `
+      <h3>Palette</h3>
+      <div class="grid">${palette.map((c) => renderSwatch(c.normalized || c.color, null, `${c.count} uses · ${(c.sources || []).join(', ')}`)).join('')}
+      </div>` : ''}
+    </section>`;
+}
+
+/**
+ * Type specimens: the named ramp when type scale analysis ran, else the top styles
+ */
+function renderTypography(typography) {
+  if (!typography?.styles?.length) return '';
+  const fallbacks = new Map(typography.styles.map((s) => [s.family, s.fallbacks]));
+  const styles = typography.ramp?.length
+    ? typography.ramp
+    : typography.styles.slice(0, 10).map((s) => ({
+      name: s.context,
+      family: s.family,
+      size: String(s.size).split(' ')[0],
+      weight: s.weight,
+      lineHeight: s.lineHeight,
+      letterSpacing: s.spacing,
+      transform: s.transform,
+    }));
+
+  const scale = typography.scale?.matches
+    ? `<p class="meta">${escapeHtml(`${typography.scale.name} scale (${typography.scale.ratio}) · base ${typography.scale.base}px · fit ${typography.scale.fit}`)}</p>`
+    : '';
+
+  const specimens = styles.map((style) => {
+    const stack = [style.family && `"${style.family}"`, fallbacks.get(style.family)].filter(Boolean).join(', ');
+    const css = styleAttr({
+      fontFamily: stack,
+      fontSize: style.size,
+      fontWeight: style.weight,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.letterSpacing,
+      textTransform: style.transform,
+    });
+    const detail = [style.family, style.size, style.weight, style.lineHeight && `/${style.lineHeight}`].filter(Boolean).join(' ');
+    return `
+      <div class="specimen">
+        <div class="label"><strong>${escapeHtml(style.name || '')}</strong><code>${escapeHtml(detail)}</code></div>
+        <div class="text" ${css}>${SPECIMEN_TEXT}</div>
+      </div>`;
+  }).join('');
+
+  return `
+    <section>
+      <h2>Typography</h2>
+      ${scale}
+      ${specimens}
+    </section>`;
+}
+
+function renderSpacing(spacing) {
+  const values = spacing?.commonValues || [];
+  if (values.length === 0) return '';
+  const bars = values.slice(0, 16).map((v) => {
+    const px = parseFloat(v.px);
+    return `
+        <div class="bar-row"><code>${escapeHtml(v.px)}</code><div class="bar" style="width: ${Math.min(px, 600)}px"></div></div>`;
+  }).join('');
+  return `
+    <section>
+      <h2>Spacing</h2>
+      ${spacing.scaleType ? `<p class="meta">${escapeHtml(spacing.scaleType)} scale</p>` : ''}
+      <div class="bars">${bars}
+      </div>
+    </section>`;
+}
+
+function renderRadius(borderRadius) {
+  const values = (borderRadius?.values || []).filter((r) => r.confidence !== 'low');
+  if (values.length === 0) return '';
+  const boxes = values.map((r) => `
+        <div class="tile"><div class="radius" ${styleAttr({ borderRadius: r.value })}></div><code>${escapeHtml(r.value)}</code></div>`).join('');
+  return `
+    <section>
+      <h2>Border Radius</h2>
+      <div class="tiles">${boxes}
+      </div>
+    </section>`;
+}
+
+function renderShadows(shadows) {
+  const values = (shadows || []).filter((s) => s.confidence !== 'low');
+  if (values.length === 0) return '';
+  const cards = values.slice(0, 8).map((s) => `
+        <div class="tile"><div class="card" ${styleAttr({ boxShadow: s.shadow })}></div><code>${escapeHtml(s.shadow)}</code></div>`).join('');
+  return `
+    <section>
+      <h2>Shadows</h2>
+      <div class="tiles">${cards}
+      </div>
+    </section>`;
+}
+
+function renderGradients(gradients) {
+  if (!gradients?.length) return '';
+  const strips = gradients.map((g) => `
+        <div class="tile wide"><div class="gradient" ${styleAttr({ backgroundImage: g.css })}></div><code>${escapeHtml(g.name)}</code></div>`).join('');
+  return `
+    <section>
+      <h2>Gradients</h2>
+      <div class="tiles">${strips}
+      </div>
+    </section>`;
+}
+
+/**
+ * A state's look: the default state with the state's own overrides on top
+ * Results saved before components had states keep their styles flat on the
+ * component, which then stands for the default state.
+ */
+function stateStyle(component, state) {
+  const base = component.states?.default || component;
+  return { ...base, ...(state === 'default' ? {} : component.states?.[state]) };
+}
+
+/**
+ * The states a component has, default first
+ */
+function availableStates(component, states) {
+  return states.filter((state) => state === 'default' || component.states?.[state]);
+}
+
+function renderComponents(components = {}) {
+  const blocks = [];
+
+  const buttons = components.buttons || [];
+  if (buttons.length > 0) {
+    const rows = buttons.slice(0, 8).map((button) => {
+      const previews = availableStates(button, ['default', 'hover', 'active', 'focus']).map((state) => {
+        const s = stateStyle(button, state);
+        const css = styleAttr({
+          backgroundColor: s.backgroundColor,
+          color: s.color,
+          padding: s.padding,
+          borderRadius: s.borderRadius,
+          border: s.border,
+          boxShadow: s.boxShadow,
+          outline: s.outline,
+          transform: s.transform,
+          opacity: s.opacity,
+          fontSize: button.fontSize,
+          fontWeight: button.fontWeight,
+        });
+        return `<div class="state"><button type="button" ${css}>Button</button><span>${state}</span></div>`;
+      }).join('');
+      return `<div class="component-row">${previews}</div>`;
+    }).join('');
+    blocks.push(`<h3>Buttons</h3>${rows}`);
+  }
+
+  const inputs = Object.values(components.inputs || {}).flat().filter((input) => input.specificType !== 'checkbox' && input.specificType !== 'radio');
+  if (inputs.length > 0) {
+    const rows = inputs.slice(0, 6).map((input) => {
+      const previews = availableStates(input, ['default', 'focus']).map((state) => {
+        const s = stateStyle(input, state);
+        const css = styleAttr({
+          backgroundColor: s.backgroundColor,
+          color: s.color,
+          border: s.border,
+          borderColor: s.borderColor,
+          borderRadius: s.borderRadius,
+          padding: s.padding,
+          boxShadow: s.boxShadow,
+          outline: s.outline,
+        });
+        return `<div class="state"><input type="text" value="${escapeHtml(input.specificType || input.type)}" readonly ${css}><span>${state}</span></div>`;
+      }).join('');
+      return `<div class="component-row">${previews}</div>`;
+    }).join('');
+    blocks.push(`<h3>Inputs</h3>${rows}`);
+  }
+
+  const badges = components.badges?.all || [];
+  if (badges.length > 0) {
+    const previews = badges.slice(0, 12).map((badge) => {
+      const css = styleAttr({
+        backgroundColor: badge.backgroundColor,
+        color: badge.color,
+        padding: badge.padding,
+        borderRadius: badge.borderRadius,
+        border: badge.border,
+        fontSize: badge.fontSize,
+        fontWeight: badge.fontWeight,
+        lineHeight: badge.lineHeight,
+        textTransform: badge.textTransform,
+        letterSpacing: badge.letterSpacing,
+      });
+      return `<div class="state"><span class="badge" ${css}>${escapeHtml(badge.variant || 'Badge')}</span></div>`;
+    }).join('');
+    blocks.push(`<h3>Badges</h3><div class="component-row">${previews}</div>`);
+  }
+
+  const links = components.links || [];
+  if (links.length > 0) {
+    const rows = links.map((link) => {
+      const previews = availableStates(link, ['default', 'hover']).map((state) => {
+        const s = stateStyle(link, state);
+        const css = styleAttr({ color: s.color, textDecoration: s.textDecoration, fontWeight: link.fontWeight });
+        return `<div class="state"><a href="#" ${css}>Link text</a><span>${state}</span></div>`;
+      }).join('');
+      return `<div class="component-row">${previews}</div>`;
+    }).join('');
+    blocks.push(`<h3>Links</h3>${rows}`);
+  }
+
+  if (blocks.length === 0) return '';
+  return `
+    <section>
+      <h2>Components</h2>
+      ${blocks.join('\n      ')}
+    </section>`;
+}
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2328; background: #f6f8fa; }
+  header, main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  header h1 { margin: 0 0 4px; font-size: 28px; }
+  header p { margin: 0; color: #59636e; }
+  section { background: #fff; border: 1px solid #d1d9e0; border-radius: 8px; padding: 20px 24px; margin-bottom: 24px; }
+  h2 { margin: 0 0 16px; font-size: 20px; }
+  h3 { margin: 20px 0 12px; font-size: 15px; color: #59636e; }
+  code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; color: #59636e; }
+  .meta { color: #59636e; font-size: 12px; }
+  .logo { display: inline-block; padding: 24px; border: 1px dashed #d1d9e0; border-radius: 8px; }
+  .logo img { display: block; max-width: 320px; max-height: 120px; }
+  .chip { display: inline-block; width: 16px; height: 16px; border-radius: 4px; vertical-align: middle; margin-left: 4px; border: 1px solid #0001; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+  .swatch { border: 1px solid #d1d9e0; border-radius: 8px; overflow: hidden; }
+  .swatch .sample { height: 72px; }
+  .swatch .info { display: flex; flex-direction: column; gap: 2px; padding: 10px 12px; font-size: 12px; }
+  .tag { display: inline-block; padding: 0 6px; border-radius: 10px; background: #dafbe1; color: #116329; font-size: 11px; }
+  .tag.fail { background: #ffebe9; color: #a40e26; }
+  .specimen { display: grid; grid-template-columns: 180px 1fr; gap: 16px; align-items: baseline; padding: 12px 0; border-top: 1px solid #eff2f5; }
+  .specimen .label { display: flex; flex-direction: column; }
+  .specimen .text { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .bar-row { display: grid; grid-template-columns: 80px 1fr; align-items: center; margin: 4px 0; }
+  .bar { height: 12px; background: #8250df; border-radius: 2px; min-width: 1px; }
+  .tiles { display: flex; flex-wrap: wrap; gap: 24px; }
+  .tile { display: flex; flex-direction: column; align-items: center; gap: 8px; width: 120px; text-align: center; }
+  .tile.wide { width: 240px; }
+  .tile code { word-break: break-all; }
+  .radius { width: 80px; height: 80px; background: #ddf4ff; border: 2px solid #0969da; }
+  .card { width: 100px; height: 70px; background: #fff; border-radius: 6px; margin: 12px; }
+  .gradient { width: 240px; height: 60px; border-radius: 6px; }
+  .component-row { display: flex; flex-wrap: wrap; gap: 24px; align-items: center; margin-bottom: 16px; }
+  .state { display: flex; flex-direction: column; align-items: flex-start; gap: 6px; }
+  .state span:last-child:not(.badge) { color: #59636e; font-size: 11px; }
+  .state button { cursor: default; }
+  footer { max-width: 1100px; margin: 0 auto; padding: 0 24px 32px; color: #59636e; font-size: 12px; }
+`;
+
+/**
+ * Render the HTML report
+ *
+ * @param {Object} extractionResult - extractBranding result
+ * @returns {string} Standalone HTML document
+ */
+export function toHtmlReport(extractionResult) {
+  const result = extractionResult;
+  let domain = 'unknown';
+  try {
+    domain = new URL(result.url).hostname.replace('www.', '');
+  } catch {
+    // Keep "unknown" for results without a URL
+  }
+  const extractedAt = result.extractedAt ? new Date(result.extractedAt).toISOString().replace('T', ' ').slice(0, 16) : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(domain)} · Brand Report</title>
+  <style>${REPORT_CSS}
+${fontFaceRules(result)}
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(domain)}</h1>
+    <p><a href="${escapeHtml(result.url)}">${escapeHtml(result.url)}</a> · extracted ${escapeHtml(extractedAt)} UTC</p>
+  </header>
+  <main>
+    ${[
+    renderLogo(result),
+    renderColors(result.colors),
+    renderTypography(result.typography),
+    renderSpacing(result.spacing),
+    renderRadius(result.borderRadius),
+    renderShadows(result.shadows),
+    renderGradients(result.gradients),
+    renderComponents(result.components),
+  ].filter(Boolean).join('\n')}
+  </main>
+  <footer>Generated by dembrandt</footer>
+</body>
+</html>
+`;
+}
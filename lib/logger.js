@@ -0,0 +1,84 @@
+/**
+ * CLI Logger
+ *
+ * Single channel for progress and diagnostics. Everything goes to stderr so
+ * stdout only carries the requested payload (terminal view, JSON or tokens).
+ *
+ * Levels:
+ *   quiet   - errors only (default for --json-only)
+ *   normal  - spinner and status lines
+ *   verbose - also logs every stage as a line, with elapsed time
+ */
+
+import chalk from "chalk";
+import ora from "ora";
+
+const LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+
+/**
+ * Pick the log level from CLI flags
+ * --quiet wins over --verbose; machine output defaults to quiet.
+ */
+export function resolveLogLevel(opts = {}) {
+  if (opts.quiet) return "quiet";
+  if (opts.verbose) return "verbose";
+  return opts.jsonOnly ? "quiet" : "normal";
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.level - quiet|normal|verbose
+ * @param {Object} options.stream - Writable stream (default process.stderr)
+ */
+export function createLogger({ level = "normal", stream = process.stderr } = {}) {
+  const rank = LEVELS[level] ?? LEVELS.normal;
+  const startedAt = Date.now();
+  const spinner = ora({ stream, isSilent: rank < LEVELS.normal });
+
+  const write = (line = "") => {
+    spinner.stop();
+    stream.write(line + "\n");
+  };
+
+  return {
+    level,
+    spinner,
+
+    /** Begin a stage - spinner text, plus a timestamped line when verbose */
+    start(text) {
+      if (rank >= LEVELS.verbose && text) {
+        write(chalk.dim(`  [${((Date.now() - startedAt) / 1000).toFixed(1)}s] ${text}`));
+      }
+      spinner.start(text);
+    },
+
+    /** Status output shown at normal and verbose levels */
+    log(line) {
+      if (rank >= LEVELS.normal) write(line);
+    },
+
+    /** Extra diagnostics shown only with --verbose */
+    debug(line) {
+      if (rank >= LEVELS.verbose) write(chalk.dim(line));
+    },
+
+    /** Errors are always shown */
+    error(line) {
+      write(line);
+    },
+
+    /** Mark the spinner as failed (or print the message when it is silent) */
+    fail(message) {
+      if (rank >= LEVELS.normal) {
+        spinner.fail(message);
+      } else {
+        write(chalk.red(`✖ ${message}`));
+      }
+    },
+
+    /** Mark the spinner as warned */
+    warn(message) {
+      if (rank >= LEVELS.normal) spinner.warn(message);
+    },
+  };
+}
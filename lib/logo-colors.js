@@ -0,0 +1,199 @@
+/**
+ * Logo Colors
+ * Dominant colors of the primary logo - from SVG fill/stroke paints, or from
+ * the pixels of a screenshot for raster logos - and the cross-check that
+ * marks matching palette entries as logo colors.
+ */
+
+import { inflateSync } from 'zlib';
+import { parseCssColor, toHex, deltaE } from './color-utils.js';
+
+// Colors closer than this are the same logo color (and match a palette entry)
+const SAME_COLOR = 10;
+// Colors covering less of the logo than this are anti-aliasing or detail
+const MIN_SHARE = 0.05;
+const MAX_COLORS = 5;
+
+/**
+ * Decode an 8-bit, non-interlaced PNG (what browser screenshots produce)
+ *
+ * @param {Buffer} buffer - PNG file
+ * @returns {Object} { width, height, pixels } - pixels as RGBA bytes
+ * @throws {Error} For other bit depths, palette images and interlaced files
+ */
+export function decodePng(buffer) {
+  if (buffer.readUInt32BE(0) !== 0x89504e47) throw new Error('Not a PNG file');
+
+  let offset = 8;
+  let header = null;
+  const data = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  // Grayscale, RGB, grayscale + alpha, RGBA
+  const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+  const channels = CHANNELS[header?.colorType];
+  if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error('Unsupported PNG format');
+  }
+
+  const { width, height } = header;
+  const raw = inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const rows = Buffer.alloc(stride * height);
+
+  // Undo the per-row filters (None, Sub, Up, Average, Paeth)
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? rows[out + x - channels] : 0;
+      const up = y > 0 ? rows[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? rows[out - stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      rows[out + x] = value & 0xff;
+    }
+  }
+
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = i * channels;
+    const gray = channels <= 2;
+    pixels[i * 4] = rows[source];
+    pixels[i * 4 + 1] = gray ? rows[source] : rows[source + 1];
+    pixels[i * 4 + 2] = gray ? rows[source] : rows[source + 2];
+    pixels[i * 4 + 3] = channels === 2 ? rows[source + 1] : channels === 4 ? rows[source + 3] : 255;
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Merge weighted color samples into the dominant colors
+ *
+ * @param {Array} samples - [{ rgb: { r, g, b }, weight }]
+ * @returns {Array} [{ color: "#rrggbb", share }] largest share first
+ */
+export function dominantColors(samples) {
+  const total = samples.reduce((sum, s) => sum + s.weight, 0);
+  if (total === 0) return [];
+
+  // Specks (anti-aliased edges, JPEG noise) can't reach MIN_SHARE on their own
+  const significant = samples.filter((s) => s.weight >= total * 0.002);
+
+  const groups = [];
+  for (const { rgb, weight } of significant.sort((a, b) => b.weight - a.weight)) {
+    const group = groups.find((g) => deltaE(g.rgb, rgb) < SAME_COLOR);
+    if (group) group.weight += weight;
+    else groups.push({ rgb, weight });
+  }
+
+  return groups
+    .map((g) => ({ color: toHex(g.rgb), share: Math.round((g.weight / total) * 100) / 100 }))
+    .filter((c) => c.share >= MIN_SHARE)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, MAX_COLORS);
+}
+
+/**
+ * Dominant colors of an SVG logo from its paints
+ * @param {Array} paints - [{ color, weight }] fill/stroke colors weighted by painted area
+ */
+export function colorsFromPaints(paints = []) {
+  const samples = paints
+    .map(({ color, weight }) => ({ rgb: parseCssColor(color), weight }))
+    .filter((s) => s.rgb && s.rgb.a > 0 && s.weight > 0);
+  return dominantColors(samples);
+}
+
+/**
+ * Dominant colors of a raster logo from a screenshot
+ * The color covering most of the screenshot's edge is the background behind
+ * the logo and is left out, along with transparent pixels.
+ *
+ * @param {Buffer} png - Element screenshot
+ */
+export function colorsFromScreenshot(png) {
+  const { width, height, pixels } = decodePng(png);
+
+  // Bucket pixels at 5 bits per channel, keeping each bucket's average color
+  const buckets = new Map();
+  const edge = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (pixels[i + 3] < 128) continue;
+      const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+      const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+      bucket.r += pixels[i];
+      bucket.g += pixels[i + 1];
+      bucket.b += pixels[i + 2];
+      bucket.count++;
+      buckets.set(key, bucket);
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        edge.set(key, (edge.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const average = (b) => ({ r: b.r / b.count, g: b.g / b.count, b: b.b / b.count });
+  const edgeTotal = [...edge.values()].reduce((sum, n) => sum + n, 0);
+  const [edgeKey, edgeCount] = [...edge.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  const background = edgeCount > edgeTotal / 2 ? average(buckets.get(edgeKey)) : null;
+
+  const samples = [...buckets.values()]
+    .map((b) => ({ rgb: average(b), weight: b.count }))
+    .filter((s) => !background || deltaE(s.rgb, background) >= SAME_COLOR);
+  return dominantColors(samples);
+}
+
+/**
+ * Mark palette entries that match a logo color
+ * Matches become high confidence, list "logo" first in their sources and
+ * record the share of the logo the color covers.
+ *
+ * @param {Array} palette - colors.palette, updated in place
+ * @param {Array} logoColors - [{ color, share }]
+ * @returns {number} Matched palette entries
+ */
+export function markLogoColors(palette = [], logoColors = []) {
+  let matched = 0;
+  for (const entry of palette) {
+    const rgb = parseCssColor(entry.normalized || entry.color);
+    if (!rgb) continue;
+    const match = logoColors.find((logo) => deltaE(parseCssColor(logo.color), rgb) < SAME_COLOR);
+    if (!match) continue;
+    entry.confidence = 'high';
+    entry.sources = ['logo', ...(entry.sources || []).filter((s) => s !== 'logo')];
+    entry.logoShare = match.share;
+    matched++;
+  }
+  return matched;
+}
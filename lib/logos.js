@@ -0,0 +1,128 @@
+/**
+ * Logo Variants
+ * Scores the logo candidates found by extractLogo and labels each one as a
+ * variant: primary, wordmark, symbol, footer, inverse, dark-mode or partner.
+ * Every score keeps the reasons that added up to it.
+ */
+
+// Shape by aspect ratio (width / height)
+const WORDMARK_RATIO = 2.5;
+const SYMBOL_RATIO = 1.4;
+
+/**
+ * Lowercase letters and digits only, for loose name matching
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Logo shape from its dimensions
+ * @returns {string|null} wordmark (wide), symbol (square-ish), lockup (in between)
+ */
+export function logoShape(width, height) {
+  if (!width || !height) return null;
+  const ratio = width / height;
+  if (ratio >= WORDMARK_RATIO) return 'wordmark';
+  if (ratio <= SYMBOL_RATIO && ratio >= 1 / SYMBOL_RATIO) return 'symbol';
+  return 'lockup';
+}
+
+/**
+ * Score one candidate
+ *
+ * @param {Object} candidate - Raw candidate from extractLogo
+ * @param {string} siteName - og:site_name, application-name or the domain label
+ * @returns {Object} { score, reasons } - reasons like "+25 inside header"
+ */
+export function scoreLogoCandidate(candidate, siteName) {
+  const reasons = [];
+  const add = (points, reason) => reasons.push({ points, reason });
+
+  if (candidate.inHeader) add(25, 'inside header');
+  else if (candidate.inNav) add(15, 'inside navigation');
+
+  // Top-left is where the primary logo lives on almost every site
+  if (candidate.top < 200 && candidate.left < candidate.viewportWidth / 3) add(20, 'top-left of page');
+  else if (candidate.top < 200) add(10, 'top of page');
+
+  if (candidate.linksHome) add(25, 'links to home page');
+
+  const name = normalize(siteName);
+  const label = normalize(candidate.alt) || normalize(candidate.url.split(/[?#]/)[0].split('/').pop());
+  if (name.length >= 2 && label && (label.includes(name) || (label.length >= 3 && name.includes(label)))) {
+    add(20, `names the site (${siteName})`);
+  }
+
+  if (candidate.hasLogoAttr) add(15, '"logo" in class, id, alt or file name');
+  else if (candidate.hasBrandAttr) add(10, '"brand" in class, id or alt');
+
+  const { renderedWidth: width, renderedHeight: height } = candidate;
+  if (candidate.visible) {
+    if (height >= 16 && height <= 120 && width >= 24 && width <= 400) add(10, `logo-sized (${width}×${height}px)`);
+    else if (height < 12 || width < 16) add(-15, `too small (${width}×${height}px)`);
+    else if (width > 600) add(-15, `too large for a logo (${width}px wide)`);
+  } else if (!candidate.darkMode) {
+    add(-10, 'hidden');
+  }
+
+  if (candidate.inFooter) add(-20, 'inside footer');
+  if (candidate.inPartnerList) add(-40, 'inside a partner or customer list');
+
+  return {
+    score: reasons.reduce((sum, r) => sum + r.points, 0),
+    reasons: reasons.map(({ points, reason }) => `${points > 0 ? '+' : ''}${points} ${reason}`),
+  };
+}
+
+/**
+ * Rank logo candidates and assign variants
+ * The best scoring visible candidate that isn't a dark-mode, footer, inverse
+ * or partner logo is the primary; the rest are labeled by where they appear
+ * and by shape.
+ *
+ * @param {Array} candidates - Raw candidates from extractLogo
+ * @param {string} siteName - Site name the alt text is matched against
+ * @returns {Array} Variants, primary first, then by score
+ */
+export function rankLogos(candidates = [], siteName = '') {
+  const scored = candidates.map((candidate) => {
+    const { score, reasons } = scoreLogoCandidate(candidate, siteName);
+    let variant = null;
+    if (candidate.inPartnerList) variant = 'partner';
+    else if (candidate.darkMode) variant = 'dark-mode';
+    else if (candidate.inFooter) variant = 'footer';
+    else if (candidate.inverse) variant = 'inverse';
+    return { candidate, score, reasons, variant };
+  }).sort((a, b) => b.score - a.score);
+
+  const primary = scored.find((entry) => !entry.variant && entry.candidate.visible) ||
+    scored.find((entry) => entry.variant !== 'partner');
+  if (primary) primary.variant = 'primary';
+
+  for (const entry of scored) {
+    if (entry.variant) continue;
+    const shape = logoShape(entry.candidate.width, entry.candidate.height);
+    entry.variant = shape === 'symbol' ? 'symbol' : shape === 'wordmark' ? 'wordmark' : 'alternate';
+  }
+
+  return scored
+    .sort((a, b) => (b === primary) - (a === primary) || b.score - a.score)
+    .map(({ candidate, score, reasons, variant }) => ({
+      variant,
+      score,
+      reasons,
+      source: candidate.source,
+      url: candidate.url,
+      ...(candidate.svg && { svg: candidate.svg }),
+      width: candidate.width,
+      height: candidate.height,
+      alt: candidate.alt,
+      shape: logoShape(candidate.width, candidate.height),
+      position: { top: candidate.top, left: candidate.left },
+      inHeader: candidate.inHeader,
+      inFooter: candidate.inFooter,
+      linksHome: candidate.linksHome,
+      safeZone: candidate.safeZone,
+    }));
+}
@@ -0,0 +1,147 @@
+/**
+ * Motion Analysis
+ * Turns raw transition/animation usage from extractMotion into a duration
+ * scale and a set of named easing curves.
+ */
+
+// CSS easing keywords as cubic-bezier control points
+const KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1],
+};
+
+// Durations within this ratio of a cluster's fastest value join it (150ms and 160ms, not 150ms and 200ms)
+const CLUSTER_TOLERANCE = 0.15;
+
+/**
+ * Parse a CSS time ("0.3s", "150ms") to milliseconds
+ */
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(-?[\d.]+)(ms|s)$/);
+  if (!match) return null;
+  const ms = parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+  return Math.round(ms * 100) / 100;
+}
+
+/**
+ * Parse a timing function to cubic-bezier control points
+ * @returns {Array|null} [x1, y1, x2, y2], null for steps() and unknown values
+ */
+export function parseEasing(value) {
+  const easing = String(value).trim().toLowerCase();
+  if (KEYWORDS[easing]) return KEYWORDS[easing];
+
+  const match = easing.match(/^cubic-bezier\(([^)]+)\)$/);
+  if (!match) return null;
+  const points = match[1].split(',').map((n) => parseFloat(n));
+  return points.length === 4 && points.every(Number.isFinite) ? points : null;
+}
+
+/**
+ * Describe a curve's shape: linear, ease-in, ease-out, ease-in-out or spring (overshoots)
+ */
+function curveShape([x1, y1, x2, y2]) {
+  if (y1 < 0 || y1 > 1 || y2 < 0 || y2 > 1) return 'spring';
+  if (x1 === y1 && x2 === y2) return 'linear';
+  const slowStart = y1 < x1;
+  const slowEnd = y2 > x2;
+  if (slowStart && slowEnd) return 'ease-in-out';
+  if (slowStart) return 'ease-in';
+  return 'ease-out';
+}
+
+/**
+ * Group durations that are within CLUSTER_TOLERANCE of each other
+ * Each step of the scale is the most used duration in its cluster.
+ *
+ * @param {Array} durations - [{ ms, count }]
+ * @returns {Array} [{ name: "duration-1", ms, count, values }] fastest first
+ */
+export function clusterDurations(durations) {
+  const clusters = [];
+  const sorted = durations.filter((d) => d.ms > 0).sort((a, b) => a.ms - b.ms);
+
+  for (const duration of sorted) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && duration.ms <= cluster.min * (1 + CLUSTER_TOLERANCE)) {
+      cluster.entries.push(duration);
+    } else {
+      clusters.push({ min: duration.ms, entries: [duration] });
+    }
+  }
+
+  return clusters.map((cluster, index) => {
+    const top = [...cluster.entries].sort((a, b) => b.count - a.count)[0];
+    return {
+      name: `duration-${index + 1}`,
+      ms: top.ms,
+      count: cluster.entries.reduce((sum, d) => sum + d.count, 0),
+      values: cluster.entries.map((d) => d.ms),
+    };
+  });
+}
+
+/**
+ * Name easing curves: CSS keywords keep their name, custom curves are named
+ * by shape (ease-out, ease-out-2, spring, ...)
+ *
+ * @param {Array} easings - [{ value, count }]
+ * @returns {Array} [{ name, value, points, count }] most used first
+ */
+export function nameEasings(easings) {
+  const byPoints = new Map();
+  for (const { value, count } of easings) {
+    const points = parseEasing(value);
+    if (!points) continue;
+    const key = points.join(',');
+    const entry = byPoints.get(key) || { points, count: 0 };
+    entry.count += count;
+    byPoints.set(key, entry);
+  }
+
+  const taken = new Set();
+  const uniqueName = (base) => {
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}-${n}`;
+    taken.add(name);
+    return name;
+  };
+
+  // cubic-bezier(0.42, 0, 1, 1) is ease-in too
+  const keywordFor = (points) =>
+    Object.keys(KEYWORDS).find((keyword) => KEYWORDS[keyword].join(',') === points.join(','));
+
+  const entries = [...byPoints.values()].sort((a, b) => b.count - a.count);
+  // Keywords claim their names first so a custom ease-out curve becomes ease-out-2
+  entries.forEach((entry) => {
+    const keyword = keywordFor(entry.points);
+    if (keyword) taken.add(keyword);
+  });
+
+  return entries.map((entry) => {
+    const keyword = keywordFor(entry.points);
+    return {
+      name: keyword || uniqueName(curveShape(entry.points)),
+      value: keyword || `cubic-bezier(${entry.points.join(', ')})`,
+      points: entry.points,
+      count: entry.count,
+    };
+  });
+}
+
+/**
+ * Build motion tokens from raw usage
+ *
+ * @param {Object} usage - { durations, easings, properties, keyframes } from extractMotion
+ * @returns {Object} Usage plus { scale, curves }
+ */
+export function analyzeMotion(usage) {
+  return {
+    ...usage,
+    scale: clusterDurations(usage.durations || []),
+    curves: nameEasings(usage.easings || []),
+  };
+}
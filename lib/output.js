@@ -0,0 +1,67 @@
+/**
+ * Output Files
+ *
+ * Helpers for writing extraction results to the output/<domain>/ folder
+ * in the current working directory.
+ */
+
+import { writeFileSync, mkdirSync } from "fs";
+import { join } from "path";
+
+/**
+ * Normalize user input into an absolute http(s) URL
+ * @param {string} input - URL or bare domain (e.g. "stripe.com")
+ * @returns {string} URL with protocol
+ */
+export function normalizeUrl(input) {
+  const url = input.trim();
+  if (!url.startsWith("http://") && !url.startsWith("https://")) {
+    return "https://" + url;
+  }
+  return url;
+}
+
+/**
+ * Get the output folder name for a URL (hostname without www.)
+ */
+export function getDomain(url) {
+  return new URL(url).hostname.replace("www.", "");
+}
+
+/**
+ * Filesystem-safe timestamp used in output filenames
+ */
+export function getTimestamp(date = new Date()) {
+  return date
+    .toISOString()
+    .replace(/[:.]/g, "-")
+    .split(".")[0];
+}
+
+/**
+ * Absolute path of the output/<domain>/ folder for a URL, created if missing
+ */
+export function getOutputDir(url) {
+  // Save to current working directory, not installation directory
+  const outputDir = join(process.cwd(), "output", getDomain(url));
+  mkdirSync(outputDir, { recursive: true });
+  return outputDir;
+}
+
+/**
+ * Write a file to output/<domain>/<timestamp><suffix>
+ *
+ * @param {string} url - Extracted URL, used to pick the domain folder
+ * @param {string} content - File contents
+ * @param {Object} options - suffix (e.g. ".tokens.json") and timestamp
+ * @returns {string} Path relative to the working directory
+ */
+export function saveOutput(url, content, { suffix = ".json", timestamp = getTimestamp() } = {}) {
+  const domain = getDomain(url);
+  const outputDir = getOutputDir(url);
+
+  const filename = `${timestamp}${suffix}`;
+  writeFileSync(join(outputDir, filename), content);
+
+  return `output/${domain}/${filename}`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Progress Reporting
+ *
+ * The extraction pipeline reports progress through a small reporter object
+ * instead of writing to the console, so the same code can drive the CLI
+ * spinner or emit events to programmatic callers.
+ *
+ * Reporter interface:
+ *   start(text)       - a new stage begins (spinner text)
+ *   stop()            - stop any running spinner
+ *   success(message)  - a step finished (✓)
+ *   warn(message)     - a recoverable problem (⚠)
+ *   info(message)     - neutral information (ℹ)
+ *   detail(message)   - secondary detail for the previous line
+ *   section(title)    - start of a new group of steps
+ *   complete(message) - the whole run finished
+ *   fail(message)     - the run failed
+ *   text              - the current stage, for error reports
+ */
+
+import chalk from "chalk";
+
+/**
+ * Reporter for the CLI - spinner and colored status lines through the logger,
+ * so progress lands on stderr and respects --quiet/--verbose
+ * @param {Object} logger - Logger from createLogger() (lib/logger.js)
+ */
+export function createLoggerProgress(logger) {
+  return {
+    get text() {
+      return logger.spinner.text;
+    },
+    start: (text) => logger.start(text),
+    stop: () => logger.spinner.stop(),
+    success: (message) => logger.log(chalk.hex('#50FA7B')(`  ✓ ${message}`)),
+    warn: (message) => logger.log(chalk.hex('#FFB86C')(`  ⚠ ${message}`)),
+    info: (message) => logger.log(chalk.hex('#8BE9FD')(`  ℹ ${message}`)),
+    detail: (message) => logger.log(chalk.dim(`    ${message}`)),
+    section: (title) => logger.log(chalk.hex('#8BE9FD')(`\n  ${title}\n`)),
+    complete: (message) => logger.log('\n' + chalk.hex('#50FA7B').bold(`✔ ${message}`)),
+    fail: (message) => logger.fail(message),
+  };
+}
+
+/**
+ * Reporter that turns every progress call into an event object
+ *
+ * @param {Function} onProgress - Called with { type, message, stage }
+ *   where type is stage|success|warning|info|detail|section|complete|error
+ */
+export function createEventProgress(onProgress) {
+  let stage = "";
+  const emit = (type, message) => {
+    if (onProgress) onProgress({ type, message, stage });
+  };
+
+  return {
+    get text() {
+      return stage;
+    },
+    start: (text) => {
+      if (!text) return;
+      stage = text;
+      emit("stage", text);
+    },
+    stop: () => { },
+    success: (message) => emit("success", message),
+    warn: (message) => emit("warning", message),
+    info: (message) => emit("info", message),
+    detail: (message) => emit("detail", message),
+    section: (title) => emit("section", title),
+    complete: (message) => emit("complete", message),
+    fail: (message) => emit("error", message),
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Responsive Tokens
+ * Compares the per-viewport samples taken with --viewports and reports how
+ * each token changes across widths (h1 32px at 390 -> 64px at 1920), with a
+ * fluid clamp() expression for values that scale.
+ */
+
+const MIN_WIDTH = 240;
+const MAX_WIDTH = 3840;
+// "breakpoints" mode samples at most this many widths
+const MAX_BREAKPOINT_VIEWPORTS = 6;
+// Counts, not lengths - no clamp()
+const UNITLESS = new Set(['columns']);
+// Most-used spacing values compared as the scale at each width
+const SPACING_SCALE_STEPS = 8;
+
+/**
+ * Parse a --viewports value
+ *
+ * @param {string|Array} value - "390,768,1280,1920", [390, 1280] or "breakpoints"
+ * @returns {Array|string} Sorted unique widths, or "breakpoints"
+ * @throws {Error} For widths that aren't whole numbers between 240 and 3840
+ */
+export function parseViewports(value) {
+  if (value === 'breakpoints') return value;
+
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const widths = parts.map((part) => {
+    const width = Number(String(part).trim().replace(/px$/, ''));
+    if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      throw new Error(`Invalid viewport width "${String(part).trim()}" (expected ${MIN_WIDTH}-${MAX_WIDTH})`);
+    }
+    return width;
+  });
+
+  if (widths.length === 0) throw new Error('No viewport widths given');
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Viewport widths for "breakpoints" mode: one just above each detected
+ * min-width breakpoint plus a mobile width, spread evenly when there are many
+ *
+ * @param {Array} breakpoints - [{ px: "768px" }, ...] from extractBreakpoints
+ * @returns {Array} Sorted widths
+ */
+export function viewportsFromBreakpoints(breakpoints = []) {
+  const widths = [...new Set(
+    breakpoints
+      .map((bp) => parseInt(bp.px, 10))
+      .filter((px) => px >= MIN_WIDTH && px <= MAX_WIDTH)
+  )].sort((a, b) => a - b);
+
+  const candidates = [390, ...widths.filter((px) => px > 390)];
+  if (candidates.length <= MAX_BREAKPOINT_VIEWPORTS) return candidates;
+
+  // Keep the smallest and largest, sample the rest evenly
+  const step = (candidates.length - 1) / (MAX_BREAKPOINT_VIEWPORTS - 1);
+  return [...new Set(
+    Array.from({ length: MAX_BREAKPOINT_VIEWPORTS }, (_, i) => candidates[Math.round(i * step)])
+  )];
+}
+
+/**
+ * Fluid clamp() between the values at the smallest and largest viewport
+ * Linear interpolation: value = intercept + slope * 100vw, bounded by both ends.
+ *
+ * @returns {string|null} e.g. "clamp(2rem, 1.3rem + 2.86vw, 4rem)", null when the value doesn't change
+ */
+export function toClamp(minWidth, minValue, maxWidth, maxValue) {
+  if (minValue === maxValue || minWidth === maxWidth) return null;
+
+  const slope = (maxValue - minValue) / (maxWidth - minWidth);
+  const intercept = minValue - slope * minWidth;
+  const rem = (px) => `${Math.round((px / 16) * 1000) / 1000}rem`;
+  const vw = Math.round(slope * 100 * 100) / 100;
+  const preferred = `${rem(intercept)} ${vw < 0 ? '-' : '+'} ${Math.abs(vw)}vw`;
+
+  return `clamp(${rem(Math.min(minValue, maxValue))}, ${preferred}, ${rem(Math.max(minValue, maxValue))})`;
+}
+
+/**
+ * Spacing scale at one width: the most-used values in ascending order,
+ * named by step (space-1 is the smallest)
+ *
+ * @param {Array} commonValues - extractSpacing().commonValues
+ * @returns {Object} { "space-1": { value: 4 }, ... }
+ */
+function spacingScale(commonValues = []) {
+  const scale = [...commonValues]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, SPACING_SCALE_STEPS)
+    .map((v) => v.numericValue)
+    .sort((a, b) => a - b);
+
+  return Object.fromEntries(scale.map((value, i) => [`space-${i + 1}`, { value }]));
+}
+
+/**
+ * Compare samples across viewports
+ * Every token that changes gets its value per width and a clamp() between the
+ * smallest and largest width; tokens that stay the same are left out. Spacing
+ * is compared by scale step, so a site whose 5th step grows from 24px to 32px
+ * reports space-5.
+ *
+ * @param {Array} snapshots - [{ width, spacing, elements: { typography, button, layout } }] in width order
+ * @returns {Object} { typography, spacing, button, layout } -> name -> property -> { values, clamp }
+ */
+export function compareViewports(snapshots) {
+  const tokens = {};
+  if (snapshots.length < 2) return tokens;
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const groups = new Map(snapshots.map((s) => [s, { ...s.elements, spacing: spacingScale(s.spacing) }]));
+
+  for (const group of ['typography', 'spacing', 'button', 'layout']) {
+    const names = new Set(snapshots.flatMap((s) => Object.keys(groups.get(s)[group] || {})));
+
+    for (const name of names) {
+      const properties = new Set(snapshots.flatMap((s) => Object.keys(groups.get(s)[group]?.[name] || {})));
+
+      for (const property of properties) {
+        const values = {};
+        for (const snapshot of snapshots) {
+          const value = groups.get(snapshot)[group]?.[name]?.[property];
+          if (Number.isFinite(value)) values[snapshot.width] = value;
+        }
+
+        const distinct = new Set(Object.values(values));
+        if (distinct.size < 2) continue;
+
+        const minValue = values[first.width];
+        const maxValue = values[last.width];
+        const clamp = minValue !== undefined && maxValue !== undefined && !UNITLESS.has(property)
+          ? toClamp(first.width, minValue, last.width, maxValue)
+          : null;
+
+        tokens[group] = tokens[group] || {};
+        tokens[group][name] = tokens[group][name] || {};
+        tokens[group][name][property] = { values, clamp };
+      }
+    }
+  }
+
+  return tokens;
+}
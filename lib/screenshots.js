@@ -0,0 +1,89 @@
+/**
+ * Component Screenshots
+ *
+ * Saves a cropped PNG of the element behind each button, input, link and
+ * badge variant and each logo variant into output/<domain>/screenshots/,
+ * using the selectors the extractors recorded. Each entry gets the path of
+ * its screenshot, so a token can be traced back to what it looks like.
+ */
+
+import { mkdirSync } from "fs";
+import { join } from "path";
+import { getOutputDir, getDomain } from "./output.js";
+
+// Per-element screenshot timeout
+const SCREENSHOT_TIMEOUT = 5000;
+
+/**
+ * Component and logo entries to screenshot
+ *
+ * @param {Object} result - Extraction result, or the part of it with logo(s) and components
+ * @returns {Array} [{ name, entry }] - name is the file name without extension
+ */
+export function listScreenshotTargets(result) {
+  const { logo, logos, components = {} } = result;
+  const targets = [];
+
+  // Other companies' logos are left out, as with --assets
+  for (const variant of logos || (logo ? [logo] : [])) {
+    if (variant.variant === "partner") continue;
+    targets.push({ name: `logo-${variant.variant || "primary"}`, entry: variant });
+  }
+  (components.buttons || []).forEach((entry, i) => targets.push({ name: `button-${i + 1}`, entry }));
+  for (const [group, entries] of Object.entries(components.inputs || {})) {
+    entries.forEach((entry, i) => targets.push({ name: `input-${group}-${i + 1}`, entry }));
+  }
+  (components.links || []).forEach((entry, i) => targets.push({ name: `link-${i + 1}`, entry }));
+  (components.badges?.all || []).forEach((entry, i) => targets.push({ name: `badge-${entry.variant}-${i + 1}`, entry }));
+
+  return targets.filter(({ entry }) => entry.selector);
+}
+
+/**
+ * Screenshot every target element and write it to output/<domain>/screenshots/
+ * Sets entry.screenshot to the saved path. Elements that are hidden or gone
+ * are listed in failed instead of failing the extraction. The scroll
+ * position is restored afterwards.
+ *
+ * @param {Object} page - Playwright page in its default (light, unhovered) state
+ * @param {Object} result - { url, logo, logos, components }
+ * @returns {Promise<Object>} { dir, saved, failed: [{ name, selector, error }] }
+ */
+export async function captureScreenshots(page, result) {
+  const screenshotsDir = join(getOutputDir(result.url), "screenshots");
+  mkdirSync(screenshotsDir, { recursive: true });
+  const relativeDir = `output/${getDomain(result.url)}/screenshots`;
+
+  // The hover/focus pass leaves the last element focused
+  const scroll = await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    return [window.scrollX, window.scrollY];
+  });
+
+  let saved = 0;
+  const failed = [];
+  const taken = new Set();
+
+  for (const { name, entry } of listScreenshotTargets(result)) {
+    let file = `${name}.png`;
+    for (let n = 2; taken.has(file); n++) file = `${name}-${n}.png`;
+
+    try {
+      const locator = page.locator(entry.selector).first();
+      if (!(await locator.isVisible())) throw new Error("Element is not visible");
+      await locator.screenshot({
+        path: join(screenshotsDir, file),
+        timeout: SCREENSHOT_TIMEOUT,
+        animations: "disabled",
+      });
+      taken.add(file);
+      entry.screenshot = `${relativeDir}/${file}`;
+      saved++;
+    } catch (err) {
+      failed.push({ name, selector: entry.selector, error: err.message.split("\n")[0] });
+    }
+  }
+
+  await page.evaluate(([x, y]) => window.scrollTo(x, y), scroll).catch(() => { });
+  return { dir: relativeDir, saved, failed };
+}
@@ -0,0 +1,120 @@
+/**
+ * Light/Dark Themes
+ * Pairs the tokens of two extraction passes (prefers-color-scheme light and
+ * dark) so exporters can emit one token name with a value per mode.
+ *
+ * Colors are paired by role (primary in light -> primary in dark) and by
+ * element: the same DOM element is sampled in both passes, and each light
+ * color maps to the dark color that most often replaced it.
+ */
+
+// Properties sampled per element, in the order they win ties
+const PROPERTIES = ['background', 'text', 'border'];
+
+/**
+ * Pair light and dark colors sampled from the same elements
+ *
+ * @param {Array} lightElements - [{ tag, background, text, border }] from the light pass
+ * @param {Array} darkElements - Same elements, same order, from the dark pass
+ * @returns {Array} [{ light, dark, property, count, agreement }] sorted by count
+ */
+export function pairElementColors(lightElements = [], darkElements = []) {
+  // light hex -> property -> dark hex -> count
+  const counts = new Map();
+
+  lightElements.forEach((light, index) => {
+    const dark = darkElements[index];
+    // The DOM changed between passes - indexes no longer line up
+    if (!dark || dark.tag !== light.tag) return;
+
+    for (const property of PROPERTIES) {
+      if (!light[property] || !dark[property]) continue;
+      const byProperty = counts.get(light[property]) || new Map();
+      const byDark = byProperty.get(property) || new Map();
+      byDark.set(dark[property], (byDark.get(dark[property]) || 0) + 1);
+      byProperty.set(property, byDark);
+      counts.set(light[property], byProperty);
+    }
+  });
+
+  const pairs = [];
+  for (const [light, byProperty] of counts) {
+    // The property this color is used for most decides its dark value
+    let best = null;
+    for (const property of PROPERTIES) {
+      const byDark = byProperty.get(property);
+      if (!byDark) continue;
+      const total = [...byDark.values()].reduce((sum, count) => sum + count, 0);
+      if (best && total <= best.total) continue;
+      const [dark, count] = [...byDark.entries()].sort((a, b) => b[1] - a[1])[0];
+      best = { light, dark, property, count, total };
+    }
+    pairs.push({
+      light: best.light,
+      dark: best.dark,
+      property: best.property,
+      count: best.total,
+      agreement: Math.round((best.count / best.total) * 100) / 100,
+    });
+  }
+
+  return pairs.sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Pair semantic and role colors by name
+ * @returns {Object} name -> { light, dark } for names present in both themes
+ */
+export function pairNamedColors(lightColors = {}, darkColors = {}) {
+  const named = (colors) => {
+    const entries = { ...colors.semantic, ...colors.roles };
+    const hexes = {};
+    for (const [name, value] of Object.entries(entries)) {
+      const color = typeof value === 'string' ? value : value?.color;
+      if (color) hexes[name] = color;
+    }
+    return hexes;
+  };
+
+  const light = named(lightColors);
+  const dark = named(darkColors);
+  const pairs = {};
+  for (const name of Object.keys(light)) {
+    if (dark[name]) pairs[name] = { light: light[name], dark: dark[name] };
+  }
+  return pairs;
+}
+
+/**
+ * Build the themes section of an extraction result
+ *
+ * @param {Object} light - { colors, borders, shadows, components } from the light pass
+ * @param {Object} dark - Same shape from the dark pass
+ * @param {Object} elements - { light, dark } element color samples
+ * @returns {Object} { light, dark, pairs: { roles, colors } }
+ */
+export function buildThemes(light, dark, elements = {}) {
+  return {
+    light,
+    dark,
+    pairs: {
+      roles: pairNamedColors(light.colors, dark.colors),
+      colors: pairElementColors(elements.light, elements.dark),
+    },
+  };
+}
+
+/**
+ * Dark value for a light color token, or null when it has no dark pair
+ * Named pairs (roles, semantic) win over element pairs.
+ *
+ * @param {Object} pairs - themes.pairs
+ * @param {string} name - Semantic/role token name, if any
+ * @param {string} hex - Light color as #rrggbb
+ */
+export function findDarkColor(pairs, name, hex) {
+  if (!pairs) return null;
+  if (name && pairs.roles?.[name]) return pairs.roles[name].dark;
+  const normalized = hex?.toLowerCase().slice(0, 7);
+  return pairs.colors?.find((pair) => pair.light === normalized)?.dark || null;
+}
@@ -0,0 +1,338 @@
+/**
+ * Token Lint
+ * Checks extracted values against a reference token file - the team's DTCG
+ * tokens, or another dembrandt result - and maps every color, font, spacing,
+ * radius and shadow to its nearest reference token. Values with no close
+ * token are reported as off-system, with where they were found.
+ */
+
+import { readFileSync } from 'fs';
+import { parseCssColor, toHex, deltaE } from './color-utils.js';
+import { toW3CFormat } from './w3c-exporter.js';
+import { isAlias, flattenTokens, getToken, resolveAlias } from './token-utils.js';
+
+// Delta-E up to which a color is the token (match) or a slightly off copy (near)
+const COLOR_MATCH = 2;
+const COLOR_NEAR = 6;
+// Pixel differences for spacing and radius
+const DIMENSION_MATCH = 0.5;
+const DIMENSION_NEAR = 2;
+// Summed pixel difference across shadow offsets, blur and spread
+const SHADOW_MATCH = 1;
+const SHADOW_NEAR = 4;
+
+// Dimension tokens are told apart by their path
+const RADIUS_PATH = /radius|radii|rounded|corner/i;
+const SPACING_PATH = /spac|space|gap|gutter|margin|padding|inset|layout/i;
+const NOT_SPACING_PATH = /container|breakpoint|screen|font|line|letter|border|duration/i;
+
+// How much each status counts towards the compliance score
+const STATUS_SCORE = { match: 1, near: 0.5, off: 0 };
+
+/**
+ * $type of a token: its own, else the closest group's
+ */
+function inheritedType(tree, path) {
+  let type;
+  let node = tree;
+  for (const key of ['', ...path.split('.')]) {
+    node = key ? node?.[key] : node;
+    if (node?.$type) type = node.$type;
+  }
+  return type;
+}
+
+/**
+ * Type of a token; an untyped alias takes the type of the token it points to
+ */
+function tokenType(tree, path, token, seen = new Set()) {
+  const type = inheritedType(tree, path);
+  if (type || !isAlias(token.$value) || seen.has(path)) return type;
+  seen.add(path);
+  const target = token.$value.slice(1, -1);
+  const targetToken = getToken(tree, target);
+  return targetToken ? tokenType(tree, target, targetToken, seen) : undefined;
+}
+
+/**
+ * Resolve aliases anywhere in a value (composite values hold them too)
+ */
+function resolveValue(tree, value) {
+  const resolved = resolveAlias(tree, value);
+  if (Array.isArray(resolved)) return resolved.map((v) => resolveValue(tree, v));
+  if (resolved && typeof resolved === 'object') {
+    return Object.fromEntries(Object.entries(resolved).map(([k, v]) => [k, resolveValue(tree, v)]));
+  }
+  return resolved;
+}
+
+/**
+ * All tokens in a DTCG tree, with group $type inherited and aliases resolved
+ * Tokens with unknown or circular references are left out.
+ *
+ * @returns {Array} [{ path, type, value }]
+ */
+function lintableTokens(tree) {
+  const tokens = [];
+  for (const [path, token] of flattenTokens(tree)) {
+    try {
+      tokens.push({ path, type: tokenType(tree, path, token), value: resolveValue(tree, token.$value) });
+    } catch {
+      // Broken reference - nothing to compare against
+    }
+  }
+  return tokens;
+}
+
+/**
+ * DTCG color value (object or string) as { r, g, b, a }
+ */
+function tokenColor(value) {
+  if (typeof value === 'string') return parseCssColor(value);
+  if (value?.hex) {
+    const rgb = parseCssColor(value.hex);
+    return rgb && { ...rgb, a: value.alpha ?? rgb.a };
+  }
+  if (Array.isArray(value?.components) && (!value.colorSpace || value.colorSpace === 'srgb')) {
+    const [r, g, b] = value.components.map((c) => Math.round(c * 255));
+    return { r, g, b, a: value.alpha ?? 1 };
+  }
+  return null;
+}
+
+/**
+ * CSS length or DTCG dimension in px (rem and em at 16px), null for % and others
+ */
+function toPx(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object' && 'value' in value) {
+    return toPx(`${value.value}${value.unit || 'px'}`);
+  }
+  const match = String(value ?? '').trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+  const n = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? n * 16 : n;
+}
+
+/**
+ * First family of a font stack, lowercased and unquoted
+ */
+function primaryFamily(value) {
+  const stack = Array.isArray(value) ? value.join(',') : String(value || '');
+  return stack.split(',')[0].trim().replace(/^["']|["']$/g, '').toLowerCase();
+}
+
+/**
+ * Shadow layers as numbers, from a CSS box-shadow or a DTCG shadow value
+ */
+function shadowLayers(value) {
+  if (typeof value === 'string') {
+    if (value === 'none') return [];
+    return value.split(/,(?![^(]*\))/).map((layer) => {
+      const colorMatch = layer.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}\b/i);
+      const lengths = (colorMatch ? layer.replace(colorMatch[0], ' ') : layer)
+        .split(/\s+/).filter((part) => /^-?[\d.]/.test(part)).map(toPx);
+      return {
+        color: (colorMatch && parseCssColor(colorMatch[0])) || { r: 0, g: 0, b: 0, a: 1 },
+        x: lengths[0] || 0,
+        y: lengths[1] || 0,
+        blur: lengths[2] || 0,
+        spread: lengths[3] || 0,
+        inset: /\binset\b/.test(layer),
+      };
+    });
+  }
+  return (Array.isArray(value) ? value : [value]).map((layer) => ({
+    color: tokenColor(layer?.color) || { r: 0, g: 0, b: 0, a: 1 },
+    x: toPx(layer?.offsetX) || 0,
+    y: toPx(layer?.offsetY) || 0,
+    blur: toPx(layer?.blur) || 0,
+    spread: toPx(layer?.spread) || 0,
+    inset: !!layer?.inset,
+  }));
+}
+
+/**
+ * Distance between two shadows - pixels summed over every layer, or
+ * Infinity when the layers don't line up or their colors differ visibly
+ */
+function shadowDistance(a, b) {
+  if (a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i].inset !== b[i].inset) return Infinity;
+    if (deltaE(a[i].color, b[i].color) > COLOR_NEAR || Math.abs(a[i].color.a - b[i].color.a) > 0.1) return Infinity;
+    distance += ['x', 'y', 'blur', 'spread'].reduce((sum, key) => sum + Math.abs(a[i][key] - b[i][key]), 0);
+  }
+  return distance;
+}
+
+/**
+ * Reference tokens grouped by what they can be compared with
+ *
+ * @param {Object} json - DTCG token tree, or a dembrandt result (converted with toW3CFormat)
+ * @returns {Object} { colors, fonts, spacing, radius, shadows } - [{ path, value, ... }]
+ */
+export function referenceTokens(json) {
+  const tree = json.colors && (json.url || json.extractedAt) ? toW3CFormat(json) : json;
+  const reference = { colors: [], fonts: [], spacing: [], radius: [], shadows: [] };
+
+  for (const token of lintableTokens(tree)) {
+    if (token.type === 'color') {
+      const rgb = tokenColor(token.value);
+      if (rgb) reference.colors.push({ path: token.path, value: toHex(rgb), rgb });
+    } else if (token.type === 'fontFamily' || (token.type === 'typography' && token.value?.fontFamily)) {
+      const family = primaryFamily(token.type === 'fontFamily' ? token.value : token.value.fontFamily);
+      if (family && !reference.fonts.some((f) => f.family === family)) {
+        reference.fonts.push({ path: token.path, value: family, family });
+      }
+    } else if (token.type === 'dimension') {
+      const px = toPx(token.value);
+      if (px === null) continue;
+      if (RADIUS_PATH.test(token.path)) reference.radius.push({ path: token.path, value: `${px}px`, px });
+      else if (SPACING_PATH.test(token.path) && !NOT_SPACING_PATH.test(token.path)) {
+        reference.spacing.push({ path: token.path, value: `${px}px`, px });
+      }
+    } else if (token.type === 'shadow') {
+      reference.shadows.push({ path: token.path, value: token.value, layers: shadowLayers(token.value) });
+    }
+  }
+  return reference;
+}
+
+/**
+ * Load a reference token file
+ * @throws {Error} When the file can't be read or has no comparable tokens
+ */
+export function loadReference(file) {
+  const json = JSON.parse(readFileSync(file, 'utf8'));
+  const tokens = referenceTokens(json);
+  const total = Object.values(tokens).reduce((sum, list) => sum + list.length, 0);
+  if (total === 0) throw new Error(`${file} has no color, font, spacing, radius or shadow tokens`);
+  return { file, tokens };
+}
+
+/**
+ * Nearest reference token by a distance function, with match/near/off status
+ */
+function nearest(value, candidates, distanceOf, { match, near }) {
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = distanceOf(candidate);
+    if (!best || distance < best.distance) best = { candidate, distance };
+  }
+  if (!best || best.distance === Infinity) return { nearest: null, distance: null, status: 'off' };
+  const status = best.distance <= match ? 'match' : best.distance <= near ? 'near' : 'off';
+  return {
+    nearest: { path: best.candidate.path, value: best.candidate.value },
+    distance: Math.round(best.distance * 10) / 10,
+    status,
+  };
+}
+
+/**
+ * Score a category: share of usage that is on-system, near values counting half
+ */
+function categoryScore(values) {
+  const total = values.reduce((sum, v) => sum + v.count, 0);
+  if (total === 0) return null;
+  const weighted = values.reduce((sum, v) => sum + v.count * STATUS_SCORE[v.status], 0);
+  return Math.round((weighted / total) * 100);
+}
+
+/**
+ * Lint an extraction result against reference tokens
+ * Every category the reference has tokens for is checked; the overall score
+ * is the average of the category scores.
+ *
+ * @param {Object} result - extractBranding result
+ * @param {Object} reference - loadReference output
+ * @returns {Object} { reference, score, categories: { colors: { score, values } }, offSystem }
+ */
+export function lintTokens(result, reference) {
+  const { tokens } = reference;
+  const categories = {};
+
+  if (tokens.colors.length > 0) {
+    categories.colors = (result.colors?.palette || [])
+      .filter((entry) => entry.confidence !== 'low')
+      .map((entry) => {
+        const rgb = parseCssColor(entry.normalized || entry.color);
+        if (!rgb) return null;
+        return {
+          value: toHex(rgb),
+          count: entry.count || 1,
+          contexts: entry.sources || [],
+          ...nearest(rgb, tokens.colors, (t) => deltaE(rgb, t.rgb), { match: COLOR_MATCH, near: COLOR_NEAR }),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  if (tokens.fonts.length > 0) {
+    const families = new Map();
+    for (const style of result.typography?.styles || []) {
+      const family = primaryFamily(style.family);
+      if (!family) continue;
+      const entry = families.get(family) || { value: style.family, family, count: 0, contexts: [] };
+      entry.count += style.count || 1;
+      const context = style.role || style.context;
+      if (context && !entry.contexts.includes(context)) entry.contexts.push(context);
+      families.set(family, entry);
+    }
+    categories.fonts = [...families.values()].map(({ family, ...entry }) => ({
+      ...entry,
+      // Same family is a match; "Inter" for "Inter Display" is near
+      ...nearest(family, tokens.fonts, (t) => (t.family === family ? 0 : t.family.includes(family) || family.includes(t.family) ? 1 : Infinity), { match: 0, near: 1 }),
+    }));
+  }
+
+  const dimensions = (values, candidates, contextsOf) => values
+    .map((entry) => {
+      const px = toPx(entry.px ?? entry.value);
+      if (px === null) return null;
+      return {
+        value: `${px}px`,
+        count: entry.count || 1,
+        contexts: contextsOf(entry),
+        ...nearest(px, candidates, (t) => Math.abs(t.px - px), { match: DIMENSION_MATCH, near: DIMENSION_NEAR }),
+      };
+    })
+    .filter(Boolean);
+
+  if (tokens.spacing.length > 0) {
+    categories.spacing = dimensions(result.spacing?.commonValues || [], tokens.spacing, (v) => v.elements || []);
+  }
+  if (tokens.radius.length > 0) {
+    const radii = (result.borderRadius?.values || []).filter((r) => r.confidence !== 'low');
+    categories.radius = dimensions(radii, tokens.radius, (r) => r.elements || []);
+  }
+
+  if (tokens.shadows.length > 0) {
+    categories.shadows = (result.shadows || [])
+      .filter((entry) => entry.confidence !== 'low')
+      .map((entry) => {
+        const layers = shadowLayers(entry.shadow);
+        return {
+          value: entry.shadow,
+          count: entry.count || 1,
+          contexts: entry.elements || [],
+          ...nearest(layers, tokens.shadows, (t) => shadowDistance(layers, t.layers), { match: SHADOW_MATCH, near: SHADOW_NEAR }),
+        };
+      });
+  }
+
+  const scored = Object.fromEntries(
+    Object.entries(categories).map(([name, values]) => [name, { score: categoryScore(values), values }])
+  );
+  const scores = Object.values(scored).map((c) => c.score).filter((s) => s !== null);
+
+  return {
+    reference: reference.file,
+    score: scores.length > 0 ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+    categories: scored,
+    offSystem: Object.entries(scored).flatMap(([category, { values }]) =>
+      values.filter((v) => v.status === 'off').map((v) => ({ category, ...v }))
+    ),
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Design Token Helpers
+ * Walks W3C DTCG token trees: flattening to dotted paths and resolving
+ * {group.token} alias references.
+ */
+
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+
+/**
+ * Whether a token value is an alias reference like "{color.palette.palette-1}"
+ */
+export function isAlias(value) {
+  return typeof value === 'string' && ALIAS_PATTERN.test(value);
+}
+
+/**
+ * Flatten a token tree into [path, token] pairs
+ * Groups are walked depth-first; $-prefixed keys ($extensions, $description) are skipped.
+ *
+ * @param {Object} tree - DTCG token tree
+ * @returns {Array} [["color.palette.palette-1", { $type, $value }], ...]
+ */
+export function flattenTokens(tree, prefix = []) {
+  const tokens = [];
+  for (const [key, node] of Object.entries(tree || {})) {
+    if (key.startsWith('$') || !node || typeof node !== 'object') continue;
+    const path = [...prefix, key];
+    if ('$value' in node) {
+      tokens.push([path.join('.'), node]);
+    } else {
+      tokens.push(...flattenTokens(node, path));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Look up a token by dotted path
+ */
+export function getToken(tree, path) {
+  const token = path.split('.').reduce((node, key) => (node ? node[key] : undefined), tree);
+  return token && '$value' in token ? token : null;
+}
+
+/**
+ * Resolve an alias to its final value, following chains of aliases
+ * Non-alias values are returned unchanged.
+ *
+ * @throws {Error} For unknown or circular references
+ */
+export function resolveAlias(tree, value, seen = new Set()) {
+  if (!isAlias(value)) return value;
+
+  const path = value.match(ALIAS_PATTERN)[1];
+  if (seen.has(path)) throw new Error(`Circular token reference: ${value}`);
+  const token = getToken(tree, path);
+  if (!token) throw new Error(`Unknown token reference: ${value}`);
+
+  seen.add(path);
+  return resolveAlias(tree, token.$value, seen);
+}
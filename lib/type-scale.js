@@ -0,0 +1,197 @@
+/**
+ * Type Scale Analysis
+ * Assigns roles (display, h1-h6, body, body-small, caption, overline, label)
+ * to extracted text styles, detects whether their sizes follow a modular
+ * scale, and builds a named type ramp from the most used style per role.
+ */
+
+// Common modular scale ratios, smallest first
+export const SCALE_RATIOS = [
+  { ratio: 1.067, name: 'Minor Second' },
+  { ratio: 1.125, name: 'Major Second' },
+  { ratio: 1.2, name: 'Minor Third' },
+  { ratio: 1.25, name: 'Major Third' },
+  { ratio: 1.333, name: 'Perfect Fourth' },
+  { ratio: 1.414, name: 'Augmented Fourth' },
+  { ratio: 1.5, name: 'Perfect Fifth' },
+  { ratio: 1.618, name: 'Golden Ratio' },
+];
+
+// Ramp order, largest role first
+export const TYPE_ROLES = ['display', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body', 'body-small', 'label', 'caption', 'overline'];
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// A fit at or above this reads as "follows the scale"
+const SCALE_FIT_THRESHOLD = 0.8;
+
+const px = (style) => parseFloat(style.size);
+
+/**
+ * Most common tag an extracted style was seen on
+ */
+function mainTag(style) {
+  const tags = Object.entries(style.tags || {});
+  return tags.length > 0 ? tags.sort((a, b) => b[1] - a[1])[0][0] : null;
+}
+
+/**
+ * Body text size: the most used size among plain text styles
+ */
+function findBodySize(styles) {
+  const usage = new Map();
+  for (const style of styles) {
+    if (style.context !== 'text' || mainTag(style)?.match(/^h[1-6]$/)) continue;
+    usage.set(px(style), (usage.get(px(style)) || 0) + (style.count || 1));
+  }
+  const [size] = [...usage.entries()].sort((a, b) => b[1] - a[1])[0] || [16];
+  return size;
+}
+
+/**
+ * Assign a role to every style
+ * Heading tags keep their level; other large text takes the level of the
+ * heading it is closest to in size, or display when it is bigger than h1.
+ * Small text becomes body-small, caption or overline (uppercase, tracked).
+ *
+ * @returns {Array} Styles with a role
+ */
+export function assignTypeRoles(styles) {
+  const body = findBodySize(styles);
+
+  // Typical size per heading level, from real heading tags
+  const headingSizes = {};
+  for (const level of HEADINGS) {
+    const sizes = styles.filter((s) => mainTag(s) === level).map(px);
+    if (sizes.length > 0) headingSizes[level] = Math.max(...sizes);
+  }
+  const largestHeading = Math.max(body * 1.5, ...Object.values(headingSizes));
+
+  return styles.map((style) => {
+    const size = px(style);
+    const tag = mainTag(style);
+    const uppercase = style.transform === 'uppercase';
+    let role;
+
+    if (style.context === 'button' || tag === 'label') {
+      role = 'label';
+    } else if (uppercase && size < body && style.spacing) {
+      role = 'overline';
+    } else if (HEADINGS.includes(tag)) {
+      role = size > largestHeading * 1.15 ? 'display' : tag;
+    } else if (size > largestHeading * 1.15) {
+      role = 'display';
+    } else if (size >= body * 1.15) {
+      // Styled like a heading without the tag - nearest level by size ratio
+      const levels = Object.keys(headingSizes);
+      role = levels.length > 0
+        ? levels.sort((a, b) => Math.abs(Math.log(size / headingSizes[a])) - Math.abs(Math.log(size / headingSizes[b])))[0]
+        : 'h3';
+    } else if (size >= body * 0.95) {
+      role = 'body';
+    } else if (size >= body * 0.85) {
+      role = 'body-small';
+    } else {
+      role = 'caption';
+    }
+
+    return { ...style, role };
+  });
+}
+
+/**
+ * Score how well sizes fit a modular scale
+ * Each size is placed on the scale as base * ratio^step; the score is
+ * 1 - 2 * mean distance to the nearest whole step, so sizes exactly on the
+ * scale score 1 and random sizes about 0.5. Distinct sizes that land on the
+ * same step lower the score: the ratio is too coarse for them.
+ *
+ * @returns {number} Fit between 0 and 1
+ */
+export function scoreScale(sizes, base, ratio) {
+  if (sizes.length === 0) return 0;
+  const steps = sizes.map((size) => Math.log(size / base) / Math.log(ratio));
+  const error = steps.reduce((sum, step) => sum + Math.abs(step - Math.round(step)), 0) / steps.length;
+  const distinctSteps = new Set(steps.map(Math.round)).size;
+  return (1 - 2 * error) * (distinctSteps / sizes.length);
+}
+
+/**
+ * Detect the modular scale that best fits a set of font sizes
+ *
+ * @param {Array} sizes - Font sizes in px
+ * @param {number} base - Base (body) size in px
+ * @returns {Object|null} { ratio, name, base, fit, matches, candidates }, null with fewer than 3 sizes
+ */
+export function detectModularScale(sizes, base) {
+  // Sizes within half a pixel are the same step
+  const distinct = [...new Set(sizes.filter((s) => s >= 10).map((s) => Math.round(s * 2) / 2))];
+  if (distinct.length < 3) return null;
+
+  const candidates = SCALE_RATIOS
+    .map(({ ratio, name }) => ({ ratio, name, fit: Math.round(scoreScale(distinct, base, ratio) * 100) / 100 }))
+    // Best fit first; on a tie the larger ratio explains the sizes with fewer steps
+    .sort((a, b) => b.fit - a.fit || b.ratio - a.ratio);
+
+  const best = candidates[0];
+  return {
+    ratio: best.ratio,
+    name: best.name,
+    base,
+    fit: best.fit,
+    matches: best.fit >= SCALE_FIT_THRESHOLD,
+    candidates: candidates.slice(0, 3),
+  };
+}
+
+/**
+ * Named type ramp: the most used style per role, largest role first
+ * With a matching scale, each entry records its step (body = 0).
+ */
+export function buildTypeRamp(styles, scale) {
+  const ramp = [];
+  for (const role of TYPE_ROLES) {
+    const candidates = styles.filter((s) => s.role === role);
+    if (candidates.length === 0) continue;
+    // Real h2 tags beat h2-sized text, then usage decides
+    const isTagged = (s) => (mainTag(s) === role ? 1 : 0);
+    const style = [...candidates].sort((a, b) =>
+      isTagged(b) - isTagged(a) || (b.count || 1) - (a.count || 1) || px(b) - px(a)
+    )[0];
+
+    const entry = {
+      name: role,
+      size: `${px(style)}px`,
+      rem: `${Math.round((px(style) / 16) * 1000) / 1000}rem`,
+      family: style.family,
+      weight: style.weight,
+      lineHeight: style.lineHeight,
+      letterSpacing: style.spacing,
+      transform: style.transform,
+      count: style.count || 1,
+    };
+    if (scale?.matches) {
+      entry.step = Math.round(Math.log(px(style) / scale.base) / Math.log(scale.ratio));
+    }
+    ramp.push(entry);
+  }
+  return ramp;
+}
+
+/**
+ * Add roles, modular scale and a named ramp to extractTypography output
+ *
+ * @param {Object} typography - { styles, sources }
+ * @returns {Object} { styles (with role), sources, scale, ramp }
+ */
+export function analyzeTypography(typography) {
+  const styles = assignTypeRoles(typography.styles || []);
+  const base = findBodySize(styles);
+  const scale = detectModularScale(styles.map(px), base);
+  return {
+    ...typography,
+    styles,
+    scale,
+    ramp: buildTypeRamp(styles, scale),
+  };
+}
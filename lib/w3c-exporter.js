@@ -5,6 +5,7 @@
  */
 
 import { URL } from 'url';
+import { findDarkColor } from './themes.js';
 
 /**
  * Convert color value to W3C DTCG color format
@@ -164,20 +165,31 @@ function sanitizeTokenName(name) {
     .toLowerCase();
 }
 
+/**
+ * Give a color token light and dark mode values ($extensions.mode)
+ * Light mirrors $value. Kept even when both match, so a semantic alias
+ * doesn't inherit the dark value of the palette entry it points at.
+ */
+function addDarkMode(token, darkColor) {
+  if (!darkColor) return;
+  token.$extensions = { mode: { light: token.$value, dark: hexToW3CColor(darkColor) } };
+}
+
 /**
  * Export colors to W3C format
  */
-function exportColors(colors) {
+export function exportColors(colors, pairs) {
   if (!colors || !colors.palette || colors.palette.length === 0) {
     return null;
   }
 
   const colorTokens = {};
 
-  // Add semantic colors if available
-  if (colors.semantic) {
+  // Add semantic colors if available - inferred roles win over class-name hints
+  const semanticColors = { ...colors.semantic, ...colors.roles };
+  if (Object.keys(semanticColors).length > 0) {
     const semantic = {};
-    for (const [key, value] of Object.entries(colors.semantic)) {
+    for (const [key, value] of Object.entries(semanticColors)) {
       if (value) {
         // Handle both direct color values and objects with color property
         const colorValue = typeof value === 'string' ? value : value.color;
@@ -186,6 +198,11 @@ function exportColors(colors) {
             $type: 'color',
             $value: hexToW3CColor(colorValue)
           };
+          if (value.evidence) {
+            semantic[sanitizeTokenName(key)].$description =
+              `Confidence: ${value.confidence}. ${value.evidence.join('; ')}`;
+          }
+          addDarkMode(semantic[sanitizeTokenName(key)], findDarkColor(pairs, key, colorValue));
         }
       }
     }
@@ -210,6 +227,7 @@ function exportColors(colors) {
         $value: hexToW3CColor(colorEntry.color),
         $description: `Count: ${colorEntry.count || 0}, Confidence: ${colorEntry.confidence || 'unknown'}`
       };
+      addDarkMode(palette[name], findDarkColor(pairs, null, normalized));
     });
 
   if (Object.keys(palette).length > 0) {
@@ -222,7 +240,7 @@ function exportColors(colors) {
 /**
  * Export typography to W3C format
  */
-function exportTypography(typography) {
+export function exportTypography(typography) {
   if (!typography || !typography.styles || typography.styles.length === 0) {
     return null;
   }
@@ -249,9 +267,15 @@ function exportTypography(typography) {
     typographyTokens['font-family'] = fontFamilies;
   }
 
-  // Export text styles as composite typography tokens
+  // Export text styles as composite typography tokens - the named ramp
+  // (text-h1, text-body, ...) when type scale analysis ran, else the top styles
   const textStyles = {};
-  typography.styles.slice(0, 10).forEach((style, index) => {
+  const rampStyles = (typography.ramp || []).map((entry) => ({
+    ...entry,
+    context: entry.name,
+    spacing: entry.letterSpacing,
+  }));
+  (rampStyles.length > 0 ? rampStyles : typography.styles.slice(0, 10)).forEach((style, index) => {
     const name = style.context
       ? `text-${sanitizeTokenName(style.context)}`
       : `text-${index + 1}`;
@@ -267,33 +291,21 @@ function exportTypography(typography) {
       token.$value.fontFamily = `{typography.font-family.${familyName}}`;
     }
 
+    // Composite sub-values are plain values, as the spec requires
     if (style.size) {
-      token.$value.fontSize = {
-        $type: 'dimension',
-        $value: toW3CDimension(style.size)
-      };
+      token.$value.fontSize = toW3CDimension(style.size);
     }
 
     if (style.weight) {
-      token.$value.fontWeight = {
-        $type: 'fontWeight',
-        $value: typeof style.weight === 'number' ? style.weight : parseInt(style.weight) || 400
-      };
+      token.$value.fontWeight = typeof style.weight === 'number' ? style.weight : parseInt(style.weight) || 400;
     }
 
     if (style.lineHeight) {
-      token.$value.lineHeight = {
-        $type: 'number',
-        $value: parseFloat(style.lineHeight) || 1.5
-      };
+      token.$value.lineHeight = parseFloat(style.lineHeight) || 1.5;
     }
 
-    if (style.letterSpacing) {
-      token.$value.letterSpacing = {
-        $type: 'dimension',
-        $value: toW3CDimension(style.letterSpacing)
-      };
-    }
+    // "normal" letter spacing is extracted as null
+    token.$value.letterSpacing = toW3CDimension(style.spacing || '0px');
 
     textStyles[name] = token;
   });
@@ -308,7 +320,7 @@ function exportTypography(typography) {
 /**
  * Export spacing to W3C format
  */
-function exportSpacing(spacing) {
+export function exportSpacing(spacing) {
   if (!spacing || !spacing.commonValues || spacing.commonValues.length === 0) {
     return null;
   }
@@ -329,7 +341,7 @@ function exportSpacing(spacing) {
 /**
  * Export border radius to W3C format
  */
-function exportBorderRadius(borderRadius) {
+export function exportBorderRadius(borderRadius) {
   if (!borderRadius || !borderRadius.values || borderRadius.values.length === 0) {
     return null;
   }
@@ -401,6 +413,90 @@ function exportBorders(borders) {
   return Object.keys(borderTokens).length > 0 ? borderTokens : null;
 }
 
+/**
+ * Parse a CSS color into W3C format
+ * Returns null for values that can't be resolved statically (var(), currentColor)
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim();
+  if (/^rgba?\(/.test(color)) return hexToW3CColor(color);
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const full = hex[1].length === 3 ? hex[1].replace(/./g, (c) => c + c) : hex[1];
+    return hexToW3CColor(`#${full.toLowerCase()}`);
+  }
+  if (color === 'white') return hexToW3CColor('#ffffff');
+  if (color === 'black') return hexToW3CColor('#000000');
+  return null;
+}
+
+/**
+ * Split a CSS value on top-level commas (not inside rgba(...))
+ */
+function splitLayers(value) {
+  const layers = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      layers.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) layers.push(current.trim());
+  return layers;
+}
+
+/**
+ * Parse a box-shadow into W3C shadow values
+ * Computed shadows put the color first ("rgba(0, 0, 0, 0.1) 0px 1px 3px 0px"),
+ * authored ones often last - both are handled. Multiple layers become an array.
+ *
+ * @returns {Object|Array|null} Shadow value, array of layers, or null for "none"
+ */
+function parseShadow(value) {
+  if (!value || value === 'none') return null;
+
+  const layers = splitLayers(value).map((layer) => {
+    const colorMatch = layer.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}\b/i);
+    const rest = colorMatch ? layer.replace(colorMatch[0], ' ') : layer;
+    const lengths = rest.split(/\s+/).filter((part) => /^-?[\d.]/.test(part));
+    const shadow = {
+      color: (colorMatch && parseColor(colorMatch[0])) || hexToW3CColor('#000000'),
+      offsetX: toW3CDimension(lengths[0] || '0px'),
+      offsetY: toW3CDimension(lengths[1] || '0px'),
+      blur: toW3CDimension(lengths[2] || '0px'),
+      spread: toW3CDimension(lengths[3] || '0px')
+    };
+    if (/\binset\b/.test(layer)) shadow.inset = true;
+    return shadow;
+  });
+
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+/**
+ * Parse a border or outline shorthand ("1px solid rgb(...)", "rgb(...) solid 2px")
+ * @returns {Object|null} { width, style, color } or null when there is no visible border
+ */
+function parseBorder(value) {
+  if (!value || value === 'none') return null;
+
+  const colorMatch = value.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}\b/i);
+  const parts = (colorMatch ? value.replace(colorMatch[0], ' ') : value).split(/\s+/).filter(Boolean);
+  const width = parts.find((part) => /^[\d.]/.test(part));
+  const style = parts.find((part) => /^(solid|dashed|dotted|double|groove|ridge|inset|outset)$/.test(part));
+  const color = colorMatch ? parseColor(colorMatch[0]) : null;
+
+  if (!width || parseFloat(width) === 0 || !style || !color) return null;
+  return { width: toW3CDimension(width), style, color };
+}
+
 /**
  * Export shadows to W3C format
  */
@@ -415,34 +511,421 @@ function exportShadows(shadows) {
     .filter(entry => entry.confidence !== 'low')
     .slice(0, 6)
     .forEach((entry, index) => {
-      const name = `shadow-${index + 1}`;
-
-      // Parse shadow string (simplified parsing)
-      // Format: offsetX offsetY blur spread color
-      const parts = entry.shadow.trim().split(/\s+/);
-
-      // Parse shadow (W3C format requires proper color object)
-      const shadowColor = parts[4] && parts[4].match(/^#[0-9a-fA-F]{6}$/)
-        ? parts[4]
-        : '#000000';
-
-      shadowTokens[name] = {
-        $type: 'shadow',
-        $value: {
-          offsetX: toW3CDimension(parts[0] || '0px'),
-          offsetY: toW3CDimension(parts[1] || '0px'),
-          blur: toW3CDimension(parts[2] || '0px'),
-          spread: toW3CDimension(parts[3] || '0px'),
-          color: hexToW3CColor(shadowColor)
+      const value = parseShadow(entry.shadow);
+      if (value) {
+        shadowTokens[`shadow-${index + 1}`] = {
+          $type: 'shadow',
+          $value: value
+        };
+      }
+    });
+
+  return Object.keys(shadowTokens).length > 0 ? shadowTokens : null;
+}
+
+/**
+ * Export layout to W3C format - container widths, column count, gutter and page margin
+ * With primitives, gutter and page margin alias the spacing scale.
+ */
+export function exportLayout(layout, primitives) {
+  if (!layout) return null;
+
+  const layoutTokens = {};
+  const dimension = (value, path) => {
+    const parsed = toW3CDimension(value);
+    return primitives ? primitives.spacing(parsed, path) : parsed;
+  };
+
+  const container = {};
+  (layout.containers || []).slice(0, 4).forEach((entry, index) => {
+    container[`container-${index + 1}`] = {
+      $type: 'dimension',
+      $value: toW3CDimension(entry.maxWidth),
+      $description: `max-width of ${entry.count} centered containers`
+    };
+  });
+  if (Object.keys(container).length > 0) layoutTokens.container = container;
+
+  if (layout.columns) {
+    layoutTokens.columns = { $type: 'number', $value: layout.columns };
+  }
+  if (layout.gutter) {
+    layoutTokens.gutter = { $type: 'dimension', $value: dimension(layout.gutter, 'layout.gutter') };
+  }
+  if (layout.pageMargin) {
+    layoutTokens['page-margin'] = { $type: 'dimension', $value: dimension(layout.pageMargin, 'layout.page-margin') };
+  }
+
+  return Object.keys(layoutTokens).length > 0 ? layoutTokens : null;
+}
+
+/**
+ * Export motion to W3C format - the duration scale and named easing curves
+ * Spec: https://www.designtokens.org/TR/2025.10/format/#duration
+ */
+function exportMotion(motion) {
+  if (!motion) return null;
+
+  const motionTokens = {};
+
+  const duration = {};
+  for (const step of motion.scale || []) {
+    duration[step.name] = {
+      $type: 'duration',
+      $value: { value: step.ms, unit: 'ms' },
+      $description: `Used ${step.count} times`
+    };
+  }
+  if (Object.keys(duration).length > 0) motionTokens.duration = duration;
+
+  const easing = {};
+  for (const curve of motion.curves || []) {
+    easing[sanitizeTokenName(curve.name)] = {
+      $type: 'cubicBezier',
+      $value: curve.points,
+      $description: `${curve.value}, used ${curve.count} times`
+    };
+  }
+  if (Object.keys(easing).length > 0) motionTokens.easing = easing;
+
+  return Object.keys(motionTokens).length > 0 ? motionTokens : null;
+}
+
+/**
+ * Export gradients to W3C format - stops alias palette colors
+ * Spec: https://www.designtokens.org/TR/2025.10/format/#gradient
+ * Type, angle and shape have no place in the spec's value and go in $extensions.
+ */
+export function exportGradients(gradients, primitives) {
+  if (!gradients || gradients.length === 0) return null;
+
+  const gradientTokens = {};
+  for (const gradient of gradients) {
+    const path = `gradient.${gradient.name}`;
+    gradientTokens[gradient.name] = {
+      $type: 'gradient',
+      $value: gradient.stops.map((stop) => ({
+        color: primitives.color(hexToW3CColor(stop.color, stop.alpha), path),
+        position: stop.position
+      })),
+      $description: `Used ${gradient.count} times`,
+      $extensions: {
+        'com.dembrandt': {
+          type: gradient.repeating ? `repeating-${gradient.type}` : gradient.type,
+          ...(gradient.angle !== null && { angle: gradient.angle }),
+          ...(gradient.shape && { shape: gradient.shape }),
+          css: gradient.css
         }
+      }
+    };
+  }
+  return gradientTokens;
+}
+
+/**
+ * Index of primitive tokens (palette, spacing, radius, border widths) so
+ * semantic and component tokens can reference them as aliases
+ * ({color.palette.palette-3}) instead of repeating raw values.
+ * A value without a matching primitive is added to its group, so every raw
+ * value appears exactly once in the output.
+ */
+function createPrimitiveIndex(tokens) {
+  const colorKey = (value) => `${value.hex}|${value.alpha ?? 1}`;
+  const dimensionKey = (value) => `${value.value}${value.unit}`;
+  const indexes = new Map();
+
+  function reference(groupPath, prefix, type, value, keyOf, usedBy) {
+    let group = tokens;
+    for (const key of groupPath) {
+      group = group[key] = group[key] || {};
+    }
+
+    const groupId = groupPath.join('.');
+    if (!indexes.has(groupId)) {
+      const index = new Map();
+      for (const [name, token] of Object.entries(group)) {
+        if (!index.has(keyOf(token.$value))) index.set(keyOf(token.$value), name);
+      }
+      indexes.set(groupId, index);
+    }
+
+    const index = indexes.get(groupId);
+    const key = keyOf(value);
+    if (!index.has(key)) {
+      const name = `${prefix}-${Object.keys(group).length + 1}`;
+      group[name] = {
+        $type: type,
+        $value: value,
+        $description: `Referenced by ${usedBy}`
       };
+      index.set(key, name);
+    }
+
+    return `{${groupId}.${index.get(key)}}`;
+  }
+
+  return {
+    color: (value, usedBy) =>
+      reference(['color', 'palette'], 'palette', 'color', value, colorKey, usedBy),
+    // Zero is not a design decision worth a primitive
+    spacing: (value, usedBy) => value.value === 0
+      ? value
+      : reference(['spacing'], 'spacing', 'dimension', value, dimensionKey, usedBy),
+    radius: (value, usedBy) => value.value === 0
+      ? value
+      : reference(['radius'], 'radius', 'dimension', value, dimensionKey, usedBy),
+    borderWidth: (value, usedBy) =>
+      reference(['border', 'width'], 'border-width', 'dimension', value, dimensionKey, usedBy)
+  };
+}
+
+/**
+ * Whether a CSS color is fully transparent (rgba(0, 0, 0, 0), transparent)
+ */
+function isTransparent(color) {
+  return !color || color === 'transparent' || /rgba\([^)]*,\s*0\)$/.test(color);
+}
+
+/**
+ * Split a padding shorthand into vertical and horizontal values
+ * "12px 24px" -> { vertical: "12px", horizontal: "24px" }
+ */
+function parsePadding(padding) {
+  const parts = String(padding || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  return {
+    vertical: parts[0],
+    horizontal: parts[1] || parts[0]
+  };
+}
+
+const STATES = ['default', 'hover', 'focus', 'active'];
+
+/**
+ * Return a name that is not used yet in target (outline, outline-2, ...)
+ */
+function uniqueName(target, name) {
+  if (!(name in target)) return name;
+  let n = 2;
+  while (`${name}-${n}` in target) n++;
+  return `${name}-${n}`;
+}
+
+/**
+ * Name variants by rank - primary, secondary, tertiary, then <fallback>-N
+ */
+function rankName(index, fallback) {
+  return ['primary', 'secondary', 'tertiary'][index] || `${fallback}-${index + 1}`;
+}
+
+/**
+ * Name button variants - filled buttons by rank (primary, secondary, tertiary),
+ * transparent ones as outline variants
+ */
+function nameButtonVariants(buttons) {
+  let filled = 0;
+  let outline = 0;
+
+  return buttons.map((button) => {
+    if (isTransparent(button.states.default.backgroundColor)) {
+      outline++;
+      return outline === 1 ? 'outline' : `outline-${outline}`;
+    }
+    return rankName(filled++, 'filled');
+  });
+}
+
+/**
+ * Build a { default, hover, focus, active } group for one property
+ * convert(state, stateName) returns the token value, or null to skip that state.
+ */
+function stateGroup(states, type, convert) {
+  const group = {};
+  for (const stateName of STATES) {
+    const state = states[stateName];
+    const value = state ? convert(state, stateName) : null;
+    if (value !== null && value !== undefined) {
+      group[stateName] = { $type: type, $value: value };
+    }
+  }
+  return Object.keys(group).length > 0 ? group : null;
+}
+
+/**
+ * Component style tokens shared by buttons, inputs and badges
+ * Colors and dimensions alias primitives; border and shadow are composites.
+ *
+ * @param {Object} states - { default, hover, focus, active } computed styles
+ * @param {string} path - Token path, used in "Referenced by" descriptions
+ */
+function exportComponentStates(states, path, primitives) {
+  const tokens = {};
+  const add = (name, group) => {
+    if (group) tokens[name] = group;
+  };
+
+  const colorOf = (property, tokenName) => (state, stateName) => {
+    const color = parseColor(state[property]);
+    if (!color || color.alpha === 0) return null;
+    return primitives.color(color, `${path}.${tokenName}.${stateName}`);
+  };
+
+  const borderOf = (property, tokenName) => (state, stateName) => {
+    let border = parseBorder(state[property]);
+    // Focus rules often change only the color of the default border
+    if (!border && property === 'border' && state.borderColor) {
+      const base = parseBorder(states.default.border);
+      const color = parseColor(state.borderColor);
+      border = base && color ? { ...base, color } : null;
+    }
+    if (!border) return null;
+    const usedBy = `${path}.${tokenName}.${stateName}`;
+    return {
+      color: primitives.color(border.color, usedBy),
+      width: primitives.borderWidth(border.width, usedBy),
+      style: border.style
+    };
+  };
+
+  add('background', stateGroup(states, 'color', colorOf('backgroundColor', 'background')));
+  add('text', stateGroup(states, 'color', colorOf('color', 'text')));
+  add('border', stateGroup(states, 'border', borderOf('border', 'border')));
+  add('outline', stateGroup(states, 'border', borderOf('outline', 'outline')));
+  add('shadow', stateGroup(states, 'shadow', (state) => parseShadow(state.boxShadow)));
+
+  const style = states.default;
+  if (style.borderRadius) {
+    add('border-radius', stateGroup({ default: style }, 'dimension', () =>
+      primitives.radius(toW3CDimension(style.borderRadius), `${path}.border-radius`)
+    ));
+  }
+
+  const padding = parsePadding(style.padding);
+  if (padding) {
+    for (const side of ['vertical', 'horizontal']) {
+      add(`padding-${side}`, stateGroup({ default: style }, 'dimension', () =>
+        primitives.spacing(toW3CDimension(padding[side]), `${path}.padding-${side}`)
+      ));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Component typography - an alias to a matching text style when one exists
+ * (a full typography composite), otherwise separate font tokens
+ */
+function exportComponentTypography(tokens, w3cTokens, fontSize, fontWeight, extra = {}) {
+  const size = fontSize ? toW3CDimension(fontSize) : null;
+  const weight = fontWeight ? parseInt(fontWeight) || null : null;
+
+  const match = Object.entries(w3cTokens.typography?.style || {}).find(([, token]) =>
+    size && token.$value.fontSize &&
+    token.$value.fontSize.value === size.value && token.$value.fontSize.unit === size.unit &&
+    (!weight || token.$value.fontWeight === weight)
+  );
+
+  if (match) {
+    tokens.typography = { $type: 'typography', $value: `{typography.style.${match[0]}}` };
+    return;
+  }
+
+  if (size) tokens['font-size'] = { $type: 'dimension', $value: size };
+  if (weight) tokens['font-weight'] = { $type: 'fontWeight', $value: weight };
+  if (extra.letterSpacing && extra.letterSpacing !== 'normal') {
+    tokens['letter-spacing'] = { $type: 'dimension', $value: toW3CDimension(extra.letterSpacing) };
+  }
+}
+
+/**
+ * Export components (buttons, inputs, links, badges) as W3C component groups
+ * component.<type>.<variant>.<property>.<state>, e.g. component.button.primary.background.hover
+ */
+function exportComponents(components, w3cTokens, primitives) {
+  if (!components) {
+    return null;
+  }
+
+  const componentTokens = {};
+
+  // Buttons - named by prominence (primary, secondary, outline, ...)
+  const buttons = (components.buttons || [])
+    .filter((button) => button.states?.default)
+    .slice(0, 6);
+  if (buttons.length > 0) {
+    const names = nameButtonVariants(buttons);
+    componentTokens.button = {};
+    buttons.forEach((button, index) => {
+      const path = `component.button.${names[index]}`;
+      const tokens = exportComponentStates(button.states, path, primitives);
+      exportComponentTypography(tokens, w3cTokens, button.fontSize, button.fontWeight);
+      componentTokens.button[names[index]] = tokens;
     });
+  }
 
-  return Object.keys(shadowTokens).length > 0 ? shadowTokens : null;
+  // Inputs - named by input type (email, search, checkbox, ...)
+  // Results saved before inputs were grouped by type hold one flat array
+  const inputGroups = Array.isArray(components.inputs)
+    ? { input: components.inputs }
+    : components.inputs || {};
+  const inputs = {};
+  for (const [group, entries] of Object.entries(inputGroups)) {
+    if (!Array.isArray(entries)) continue;
+    for (const input of entries) {
+      if (!input.states?.default) continue;
+      const name = uniqueName(inputs, group === 'text' ? input.specificType || 'text' : group);
+      inputs[name] = exportComponentStates(input.states, `component.input.${name}`, primitives);
+    }
+  }
+  if (Object.keys(inputs).length > 0) {
+    componentTokens.input = inputs;
+  }
+
+  // Links - color per state, ranked by usage
+  const links = (components.links || [])
+    .filter((link) => link.states?.default)
+    .slice(0, 4);
+  if (links.length > 0) {
+    componentTokens.link = {};
+    links.forEach((link, index) => {
+      const name = rankName(index, 'link');
+      const path = `component.link.${name}`;
+      const tokens = {};
+      const text = stateGroup(link.states, 'color', (state, stateName) => {
+        const color = parseColor(state.color);
+        return color ? primitives.color(color, `${path}.text.${stateName}`) : null;
+      });
+      if (text) tokens.text = text;
+      exportComponentTypography(tokens, w3cTokens, null, link.fontWeight);
+      componentTokens.link[name] = tokens;
+    });
+  }
+
+  // Badges - named by variant and style (success, info-subtle, ...)
+  const badges = {};
+  for (const badge of (components.badges?.all || []).slice(0, 8)) {
+    const baseName = badge.styleType && badge.styleType !== 'filled'
+      ? `${badge.variant}-${badge.styleType}`
+      : badge.variant || 'badge';
+    const name = uniqueName(badges, baseName);
+    const tokens = exportComponentStates({ default: badge }, `component.badge.${name}`, primitives);
+    exportComponentTypography(tokens, w3cTokens, badge.fontSize, badge.fontWeight, {
+      letterSpacing: badge.letterSpacing
+    });
+    badges[name] = tokens;
+  }
+  if (Object.keys(badges).length > 0) {
+    componentTokens.badge = badges;
+  }
+
+  return Object.keys(componentTokens).length > 0 ? componentTokens : null;
 }
 
 /**
  * Main export function - converts dembrandt output to W3C Design Tokens format
+ * Primitives (palette, spacing, radius, border width, shadows) hold raw values;
+ * semantic colors, border colors and component tokens alias them.
  */
 export function toW3CFormat(extractionResult) {
   const w3cTokens = {};
@@ -457,8 +940,11 @@ export function toW3CFormat(extractionResult) {
     }
   };
 
-  // Export colors
-  const colors = exportColors(extractionResult.colors);
+  // Export colors - light values, with dark ones in $extensions.mode when themes were extracted
+  const colors = exportColors(extractionResult.colors, extractionResult.themes?.pairs);
+  if (extractionResult.themes) {
+    w3cTokens.$extensions['com.dembrandt'].modes = ['light', 'dark'];
+  }
   if (colors) {
     w3cTokens.color = colors;
   }
@@ -493,5 +979,39 @@ export function toW3CFormat(extractionResult) {
     w3cTokens.shadow = shadows;
   }
 
+  // Export motion
+  const motion = exportMotion(extractionResult.motion);
+  if (motion) {
+    w3cTokens.motion = motion;
+  }
+
+  // Point semantic and border colors at palette primitives
+  const primitives = createPrimitiveIndex(w3cTokens);
+  for (const [name, token] of Object.entries(w3cTokens.color?.semantic || {})) {
+    token.$value = primitives.color(token.$value, `color.semantic.${name}`);
+    if (token.$extensions?.mode) token.$extensions.mode.light = token.$value;
+  }
+  for (const [name, token] of Object.entries(w3cTokens.border?.color || {})) {
+    token.$value = primitives.color(token.$value, `border.color.${name}`);
+  }
+
+  // Export gradients
+  const gradients = exportGradients(extractionResult.gradients, primitives);
+  if (gradients) {
+    w3cTokens.gradient = gradients;
+  }
+
+  // Export layout
+  const layout = exportLayout(extractionResult.layout, primitives);
+  if (layout) {
+    w3cTokens.layout = layout;
+  }
+
+  // Export component tokens
+  const components = exportComponents(extractionResult.components, w3cTokens, primitives);
+  if (components) {
+    w3cTokens.component = components;
+  }
+
   return w3cTokens;
 }
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// run-examples-check.mjs – renders every output format from the saved results in examples/
+// and from a current-shape fixture, then checks concrete tokens in the fixture's output
+
+import { readFileSync, readdirSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { FORMATS, renderFormat } from "./lib/exporters.js";
+import { toW3CFormat } from "./lib/w3c-exporter.js";
+import { result as fixture } from "./examples/fixtures/current-shape.mjs";
+
+const dir = join(dirname(fileURLToPath(import.meta.url)), "examples");
+const files = readdirSync(dir).filter((name) => name.endsWith(".json"));
+const results = [
+  ...files.map((file) => [file, JSON.parse(readFileSync(join(dir, file), "utf8"))]),
+  ["fixtures/current-shape.mjs", fixture],
+];
+
+let passed = 0;
+let failed = 0;
+
+function check(label, fn) {
+  try {
+    fn();
+    passed++;
+  } catch (err) {
+    console.log(`FAILED  ${label}: ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+for (const [file, result] of results) {
+  for (const format of Object.keys(FORMATS)) {
+    check(`${file} --format ${format}`, () => {
+      const { content } = renderFormat(format, result);
+      expect(content, "empty output");
+    });
+  }
+}
+
+// Component states alias palette primitives
+const w3c = toW3CFormat(fixture);
+const palette = w3c.color?.palette || {};
+check("dtcg component.button.primary.background.hover", () => {
+  const value = w3c.component?.button?.primary?.background?.hover?.$value;
+  const match = /^\{color\.palette\.([^}]+)\}$/.exec(value || "");
+  expect(match, `expected a {color.palette.*} alias, got ${JSON.stringify(value)}`);
+  expect(palette[match[1]]?.$value?.hex === "#0a2540", `${value} is ${palette[match[1]]?.$value?.hex}, expected #0a2540`);
+});
+check("dtcg component.input.email.border.focus", () => {
+  const value = w3c.component?.input?.email?.border?.focus?.$value?.color;
+  expect(/^\{color\.palette\./.test(value || ""), `expected a {color.palette.*} alias, got ${JSON.stringify(value)}`);
+});
+
+// Dark theme overrides: role pairs by name, element pairs by light value
+check('css [data-theme="dark"] block', () => {
+  const { content } = renderFormat("css", fixture);
+  const block = /\[data-theme="dark"\] \{\n([^}]*)\}/.exec(content)?.[1];
+  expect(block, 'no [data-theme="dark"] block');
+  const declarations = block.trim().split("\n").map((line) => line.trim());
+  const textPalette = Object.entries(palette).find(([, token]) => token.$value?.hex === "#425466")?.[0];
+  for (const expected of [
+    "--color-primary: #7a73ff;",
+    "--color-surface: #0a2540;",
+    `--color-${textPalette}: #adbdcc;`,
+  ]) {
+    expect(declarations.includes(expected), `missing ${expected} in:\n${block}`);
+  }
+  expect(declarations.length === 3, `expected 3 overrides, got ${declarations.length}:\n${block}`);
+});
+
+console.log(`${passed} passed, ${failed} failed (${results.length} results × ${Object.keys(FORMATS).length} formats, plus fixture token checks)`);
+process.exit(failed > 0 ? 1 : 0);